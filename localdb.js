@@ -2,7 +2,7 @@
  * LocalDB.js - A Local Database for JavaScript
  * 
  * A lightweight, in-browser database system that stores data in localStorage
- * with SQL syntax support.
+ * (or any other storage adapter) with SQL syntax support.
  * 
  * @version 1.0.0
  * @license MIT
@@ -37,13 +37,43 @@
  * 
  * Features:
  * ✓ CREATE TABLE, INSERT, SELECT, UPDATE, DELETE
+ * ✓ DROP TABLE, ALTER TABLE (ADD / DROP / RENAME COLUMN, RENAME TO), TRUNCATE
+ * ✓ Multi-row INSERT, INSERT ... SELECT, INSERT OR REPLACE / OR IGNORE,
+ *   ON CONFLICT DO UPDATE / DO NOTHING (upsert)
+ * ✓ CREATE [UNIQUE] INDEX, DROP INDEX (used for WHERE and JOIN lookups)
+ * ✓ Constraints: PRIMARY KEY (composite), UNIQUE, NOT NULL, DEFAULT, CHECK
+ * ✓ FOREIGN KEY / REFERENCES with ON DELETE / ON UPDATE actions (PRAGMA foreign_keys)
+ * ✓ INTEGER PRIMARY KEY AUTOINCREMENT, hidden rowid, lastInsertRowid / changes
  * ✓ WHERE, ORDER BY, GROUP BY, HAVING
  * ✓ LIMIT, OFFSET, DISTINCT
- * ✓ INNER JOIN, LEFT JOIN, RIGHT JOIN, CROSS JOIN
- * ✓ WHERE conditions: =, !=, <>, >, <, >=, <=, LIKE, IN, BETWEEN, IS NULL
+ * ✓ UNION, UNION ALL, INTERSECT, EXCEPT with ORDER BY / LIMIT on the combined result
+ * ✓ INNER, LEFT, RIGHT, FULL OUTER, CROSS and NATURAL JOIN, USING, any number of
+ *   tables, table aliases and self-joins
+ * ✓ WHERE conditions: =, !=, <>, >, <, >=, <=, LIKE, IN, BETWEEN, IS NULL,
+ *   NOT / AND / OR with parentheses and three-valued NULL logic
  * ✓ EXISTS, NOT EXISTS (with correlated subqueries)
- * ✓ Scalar functions: UPPER, LOWER, LENGTH, CONCAT
- * ✓ Data persistence in localStorage
+ * ✓ WITH and WITH RECURSIVE common table expressions (evaluated in memory)
+ * ✓ Aggregate functions: COUNT, SUM, AVG, MIN, MAX, GROUP_CONCAT (with DISTINCT)
+ * ✓ Window functions: ROW_NUMBER, RANK, DENSE_RANK, NTILE, LAG, LEAD, FIRST_VALUE,
+ *   LAST_VALUE and aggregates with OVER (PARTITION BY ... ORDER BY ... ROWS ...)
+ * ✓ Expressions: + - * / %, || concatenation, CASE WHEN ... END, column aliases
+ * ✓ Scalar functions: UPPER, LOWER, LENGTH, CONCAT, SUBSTR, TRIM, REPLACE, INSTR,
+ *   ROUND, ABS, TYPEOF, COALESCE, IFNULL, NULLIF, CAST(x AS type)
+ * ✓ Date and time functions: DATE, TIME, DATETIME, STRFTIME, JULIANDAY, UNIXEPOCH
+ *   with modifiers, CURRENT_TIMESTAMP / CURRENT_DATE / CURRENT_TIME
+ * ✓ User-defined scalar and aggregate functions (registerFunction, registerAggregate)
+ * ✓ Column type affinity (INTEGER, REAL, NUMERIC, TEXT, BOOLEAN, DATE, DATETIME) and
+ *   typed comparisons
+ * ✓ Transactions: BEGIN, COMMIT, ROLLBACK, SAVEPOINT, RELEASE
+ * ✓ Versioned schema migrations (migrate, PRAGMA user_version)
+ * ✓ SQL scripts (exec), SQLite-compatible dump and restore
+ * ✓ CSV and JSON import into tables and export of query results
+ * ✓ Change events (on('change')) and live queries (liveQuery)
+ * ✓ Prepared statements with ?, :name and $name parameters
+ * ✓ Tokenizer and recursive-descent parser (comments, quoted identifiers,
+ *   syntax errors with line and column)
+ * ✓ Data persistence in localStorage, memory, IndexedDB or Node.js files
+ *   through pluggable storage adapters
  * 
  * Usage:
  * 
@@ -62,1158 +92,7522 @@
  * =============================================================================
  */
 
-class LocalDB {
+/**
+ * Error thrown when a SQL statement cannot be tokenized or parsed.
+ * The offending token and its position are available as properties.
+ */
+class SQLSyntaxError extends Error {
   /**
-   * Create a new LocalDB instance
-   * @param {string} dbName - The name of the database (default: 'localDB')
+   * @param {string} message - Description of the problem
+   * @param {object} token - The offending token
    */
-  constructor(dbName = 'localDB') {
-    this.dbName = dbName;
-    this.dbKey = `${dbName}_schema`;
-    this.tables = this.loadSchema();
+  constructor(message, token) {
+    super(`${message} at line ${token.line}, column ${token.column}`);
+    this.name = 'SQLSyntaxError';
+    this.token = token.text;
+    this.position = token.position;
+    this.line = token.line;
+    this.column = token.column;
   }
+}
 
+/**
+ * Error thrown when a write violates a PRIMARY KEY, UNIQUE, NOT NULL or CHECK
+ * constraint. The table and column (comma-separated for multi-column
+ * constraints, null for table-level CHECK) are available as properties.
+ */
+class ConstraintError extends Error {
   /**
-   * Load schema from localStorage
-   * @private
-   * @returns {object} The schema object
+   * @param {string} message - Description of the violation
+   * @param {string} table - The table name
+   * @param {string|null} column - The column name(s)
    */
-  loadSchema() {
-    const schema = localStorage.getItem(this.dbKey);
-    return schema ? JSON.parse(schema) : {};
+  constructor(message, table, column) {
+    super(message);
+    this.name = 'ConstraintError';
+    this.table = table;
+    this.column = column;
+  }
+}
+
+/**
+ * Reserved words. These can only be used as identifiers when quoted.
+ */
+const SQL_KEYWORDS = new Set([
+  'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CREATE', 'CROSS', 'DELETE',
+  'DESC', 'DISTINCT', 'EXISTS', 'FALSE', 'FROM', 'GROUP', 'HAVING', 'IN',
+  'INNER', 'INSERT', 'INTO', 'IS', 'JOIN', 'LEFT', 'LIKE', 'LIMIT', 'NOT',
+  'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'RIGHT', 'SELECT', 'SET',
+  'TABLE', 'TRUE', 'UNION', 'UPDATE', 'VALUES', 'WHERE'
+]);
+
+/**
+ * Splits SQL text into tokens.
+ *
+ * Each token has the shape { type, value, text, position, end, line, column }
+ * where type is one of 'keyword', 'identifier', 'string', 'number', 'symbol',
+ * 'parameter' or 'eof'.
+ */
+class SQLTokenizer {
+  /**
+   * @param {string} sql - The SQL text
+   */
+  constructor(sql) {
+    this.sql = sql;
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
   }
 
   /**
-   * Save schema to localStorage
+   * Tokenize the whole input
+   * @returns {array} Array of tokens, terminated by an 'eof' token
+   */
+  tokenize() {
+    const tokens = [];
+
+    for (;;) {
+      this.skipWhitespaceAndComments();
+      if (this.pos >= this.sql.length) {
+        tokens.push(this.createToken('eof', null, this.pos, this.line, this.column));
+        return tokens;
+      }
+      tokens.push(this.readToken());
+    }
+  }
+
+  /**
+   * Advance the cursor, keeping track of line and column
    * @private
+   * @param {number} count - Number of characters to consume
    */
-  saveSchema() {
-    localStorage.setItem(this.dbKey, JSON.stringify(this.tables));
+  advance(count) {
+    for (let i = 0; i < count; i++) {
+      if (this.sql[this.pos] === '\n') {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+      this.pos++;
+    }
   }
 
   /**
-   * Get the storage key for a table
+   * Create a token ending at the current position
    * @private
-   * @param {string} tableName - The name of the table
-   * @returns {string} The storage key
    */
-  getTableKey(tableName) {
-    return `${this.dbName}_${tableName}`;
+  createToken(type, value, position, line, column) {
+    return {
+      type: type,
+      value: value,
+      text: this.sql.slice(position, this.pos),
+      position: position,
+      end: this.pos,
+      line: line,
+      column: column
+    };
   }
 
   /**
-   * Get table data from localStorage
+   * Skip whitespace, -- line comments and block comments
    * @private
-   * @param {string} tableName - The name of the table
-   * @returns {array} The table data
    */
-  getTableData(tableName) {
-    const data = localStorage.getItem(this.getTableKey(tableName));
-    return data ? JSON.parse(data) : [];
+  skipWhitespaceAndComments() {
+    while (this.pos < this.sql.length) {
+      const char = this.sql[this.pos];
+      const next = this.sql[this.pos + 1];
+
+      if (/\s/.test(char)) {
+        this.advance(1);
+      } else if (char === '-' && next === '-') {
+        const endIndex = this.sql.indexOf('\n', this.pos);
+        this.advance((endIndex === -1 ? this.sql.length : endIndex) - this.pos);
+      } else if (char === '/' && next === '*') {
+        const endIndex = this.sql.indexOf('*/', this.pos + 2);
+        if (endIndex === -1) {
+          throw new SQLSyntaxError('Unterminated comment', this.errorToken());
+        }
+        this.advance(endIndex + 2 - this.pos);
+      } else {
+        break;
+      }
+    }
   }
 
   /**
-   * Save table data to localStorage
+   * Build a one-character token describing the current position for errors
    * @private
-   * @param {string} tableName - The name of the table
-   * @param {array} data - The table data
    */
-  saveTableData(tableName, data) {
-    localStorage.setItem(this.getTableKey(tableName), JSON.stringify(data));
+  errorToken() {
+    return {
+      type: 'error',
+      text: this.sql.substr(this.pos, 1),
+      position: this.pos,
+      end: this.pos + 1,
+      line: this.line,
+      column: this.column
+    };
   }
 
   /**
-   * Execute CREATE TABLE query
+   * Read the next token
    * @private
-   * @param {string} query - The SQL query
-   * @returns {object} Result object
+   * @returns {object} The token
    */
-  createTable(query) {
-    const match = query.match(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)\s*\((.*)\)/i);
-    if (!match) throw new Error('Invalid CREATE TABLE syntax');
+  readToken() {
+    const start = this.pos;
+    const line = this.line;
+    const column = this.column;
+    const char = this.sql[this.pos];
+    let match;
+
+    // 識別子・キーワード
+    if ((match = this.matchAt(/[A-Za-z_\u0080-\uffff][\w$\u0080-\uffff]*/y))) {
+      this.advance(match[0].length);
+      const upper = match[0].toUpperCase();
+      if (SQL_KEYWORDS.has(upper)) {
+        return this.createToken('keyword', upper, start, line, column);
+      }
+      const token = this.createToken('identifier', match[0], start, line, column);
+      token.quoted = false;
+      return token;
+    }
 
-    const tableName = match[1];
-    const columnsStr = match[2];
+    // 数値リテラル
+    if ((match = this.matchAt(/(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y))) {
+      this.advance(match[0].length);
+      return this.createToken('number', Number(match[0]), start, line, column);
+    }
 
-    if (this.tables[tableName]) {
-      throw new Error(`Table ${tableName} already exists`);
+    // 文字列リテラル ('' はエスケープされた引用符)
+    if (char === "'") {
+      const value = this.readQuoted("'", 'Unterminated string literal');
+      return this.createToken('string', value, start, line, column);
     }
 
-    const columns = {};
-    columnsStr.split(',').forEach(col => {
-      const [name, ...typeParts] = col.trim().split(/\s+/);
-      const type = typeParts.join(' ');
-      columns[name] = type;
-    });
+    // 引用符付き識別子 ("name", `name`, [name])
+    if (char === '"' || char === '`' || char === '[') {
+      const close = char === '[' ? ']' : char;
+      const value = this.readQuoted(close, 'Unterminated quoted identifier');
+      const token = this.createToken('identifier', value, start, line, column);
+      token.quoted = true;
+      return token;
+    }
 
-    this.tables[tableName] = {
-      columns: columns,
-      primaryKey: this.extractPrimaryKey(columnsStr)
-    };
+    // パラメータ (?, ?NNN, :name, $name, @name)
+    if ((match = this.matchAt(/\?(\d*)|[:$@]([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/y))) {
+      this.advance(match[0].length);
+      const value = match[0][0] === '?'
+        ? { index: match[1] ? parseInt(match[1]) : null, name: null }
+        : { index: null, name: match[2] };
+      return this.createToken('parameter', value, start, line, column);
+    }
 
-    this.saveSchema();
-    this.saveTableData(tableName, []);
+    // 演算子・記号
+    const twoChars = this.sql.substr(this.pos, 2);
+    if (['<=', '>=', '<>', '!=', '==', '||'].includes(twoChars)) {
+      this.advance(2);
+      return this.createToken('symbol', twoChars, start, line, column);
+    }
+    if ('=<>+-*/%(),.;'.includes(char)) {
+      this.advance(1);
+      return this.createToken('symbol', char, start, line, column);
+    }
 
-    return { success: true, message: `Table ${tableName} created` };
+    throw new SQLSyntaxError(`Unexpected character "${char}"`, this.errorToken());
   }
 
   /**
-   * Extract PRIMARY KEY from column definition
+   * Match a sticky regular expression at the current position
    * @private
-   * @param {string} columnsStr - The columns string
-   * @returns {string|null} The primary key column name
+   * @param {RegExp} pattern - A regular expression with the y flag
+   * @returns {array|null} The match result
    */
-  extractPrimaryKey(columnsStr) {
-    const match = columnsStr.match(/(\w+)\s+\w+\s+PRIMARY\s+KEY/i);
-    return match ? match[1] : null;
+  matchAt(pattern) {
+    pattern.lastIndex = this.pos;
+    return pattern.exec(this.sql);
   }
 
   /**
-   * Execute INSERT query
+   * Read a quoted string, where a doubled closing quote is an escaped quote
    * @private
-   * @param {string} query - The SQL query
-   * @returns {object} Result object
+   * @param {string} close - The closing quote character
+   * @param {string} errorMessage - Error message if the quote is not closed
+   * @returns {string} The unquoted contents
    */
-  insert(query) {
-    const match = query.match(/INSERT\s+INTO\s+(\w+)\s*\((.*?)\)\s*VALUES\s*\((.*?)\)/i);
-    if (!match) throw new Error('Invalid INSERT syntax');
-
-    const tableName = match[1];
-    const columns = match[2].split(',').map(c => c.trim());
-    const values = this.parseValues(match[3]);
-
-    if (!this.tables[tableName]) {
-      throw new Error(`Table ${tableName} does not exist`);
+  readQuoted(close, errorMessage) {
+    const errorToken = this.errorToken();
+    let value = '';
+    let i = this.pos + 1;
+
+    for (;;) {
+      if (i >= this.sql.length) {
+        throw new SQLSyntaxError(errorMessage, errorToken);
+      }
+      if (this.sql[i] === close) {
+        if (this.sql[i + 1] === close && close !== ']') {
+          value += close;
+          i += 2;
+          continue;
+        }
+        break;
+      }
+      value += this.sql[i];
+      i++;
     }
 
-    const row = {};
-    columns.forEach((col, index) => {
-      row[col] = values[index];
-    });
+    this.advance(i + 1 - this.pos);
+    return value;
+  }
+}
 
-    const data = this.getTableData(tableName);
-    data.push(row);
-    this.saveTableData(tableName, data);
+/**
+ * Recursive-descent parser that turns SQL text into an AST.
+ *
+ * Statements: select, compound, insert, update, delete, createTable,
+ * dropTable, alterTable, truncate, createIndex, dropIndex, pragma, begin,
+ * commit, rollback, savepoint, release.
+ * Expressions: literal, parameter, column, function, cast, binary, unary,
+ * case, comparison, logical, not, like, in, between, isNull, exists, subquery.
+ */
+class SQLParser {
+  /**
+   * @param {string} sql - The SQL text
+   */
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = new SQLTokenizer(sql).tokenize();
+    this.index = 0;
+    // パラメータ情報（位置指定の個数と名前付きパラメータ名）
+    this.parameterCount = 0;
+    this.parameterNames = [];
+  }
 
-    return { success: true, message: `1 row inserted into ${tableName}` };
+  /**
+   * Parse a single SQL statement
+   * @param {string} sql - The SQL text
+   * @returns {object} The statement AST
+   * @throws {SQLSyntaxError} If the statement is invalid
+   */
+  static parse(sql) {
+    return new SQLParser(sql).parseStatement();
   }
 
   /**
-   * Execute SELECT query
-   * @private
-   * @param {string} query - The SQL query
-   * @returns {array} Query result
+   * Parse a script of statements separated by semicolons
+   * @param {string} sql - The SQL text
+   * @returns {array} { statement, line } for each statement
+   * @throws {SQLSyntaxError} If any statement is invalid
    */
-  select(query) {
-    // UNION を含むかチェック
-    if (/\s+UNION\s+/i.test(query)) {
-      return this.selectWithUnion(query);
-    }
+  static parseScript(sql) {
+    return new SQLParser(sql).parseScript();
+  }
 
-    // JOIN を含むかチェック
-    if (/\s+JOIN\s+/i.test(query)) {
-      return this.selectWithJoin(query);
+  /**
+   * Parse a single expression (such as a stored DEFAULT or CHECK)
+   * @param {string} sql - The expression text
+   * @returns {object} The expression AST
+   * @throws {SQLSyntaxError} If the expression is invalid
+   */
+  static parseExpressionText(sql) {
+    const parser = new SQLParser(sql);
+    const expr = parser.parseExpression();
+    if (parser.peek().type !== 'eof') {
+      throw parser.error('Expected end of expression');
     }
+    return expr;
+  }
 
-    // 派生テーブル（FROM句内のサブクエリ）を処理
-    const derivedTableRegex = /FROM\s+\(\s*(SELECT\s+.+?)\s*\)\s+AS\s+(\w+)/i;
-    const derivedTableMatch = query.match(derivedTableRegex);
-    
-    if (derivedTableMatch) {
-      // サブクエリを実行
-      const subquery = derivedTableMatch[1];
-      const derivedTableName = derivedTableMatch[2];
-      
-      try {
-        const subqueryResult = this.select(subquery);
-        
-        // 派生テーブルをメモリに一時保存
-        const originalTableData = this.getTableData(derivedTableName);
-        this.saveTableData(derivedTableName, subqueryResult);
-        
-        // 派生テーブル用のスキーマを一時作成
-        const originalSchema = this.tables[derivedTableName];
-        if (!this.tables[derivedTableName]) {
-          const columns = {};
-          if (subqueryResult.length > 0) {
-            Object.keys(subqueryResult[0]).forEach(col => {
-              columns[col] = 'TEXT';
-            });
-          }
-          this.tables[derivedTableName] = { columns: columns, primaryKey: null };
-        }
-        
-        // FROM句を派生テーブル名に置き換えたクエリを実行
-        const modifiedQuery = query.replace(derivedTableRegex, `FROM ${derivedTableName}`);
-        const result = this.select(modifiedQuery);
-        
-        // 派生テーブルをクリア
-        localStorage.removeItem(this.getTableKey(derivedTableName));
-        if (!originalSchema) {
-          delete this.tables[derivedTableName];
-        } else {
-          this.tables[derivedTableName] = originalSchema;
-          this.saveTableData(derivedTableName, originalTableData);
-        }
-        
-        return result;
-      } catch (error) {
-        throw new Error(`Derived table error: ${error.message}`);
-      }
-    }
+  // ---------------------------------------------------------------------------
+  // トークン操作
+  // ---------------------------------------------------------------------------
 
-    const selectRegex = /SELECT\s+(DISTINCT\s+)?(.*?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+GROUP\s+BY\s+(.+?))?(?:\s+HAVING\s+(.+?))?(?:\s+ORDER\s+BY\s+(.+?))?(?:\s+LIMIT\s+(.+))?$/i;
-    const match = query.match(selectRegex);
-    
-    if (!match) throw new Error('Invalid SELECT syntax');
+  /**
+   * @private
+   */
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
 
-    const [, distinct, columns, tableName, whereClause, groupByClause, havingClause, orderByClause, limitClause] = match;
+  /**
+   * @private
+   */
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
 
-    if (!this.tables[tableName]) {
-      throw new Error(`Table ${tableName} does not exist`);
-    }
+  /**
+   * The most recently consumed token
+   * @private
+   */
+  previous() {
+    return this.tokens[this.index - 1];
+  }
 
-    let data = this.getTableData(tableName);
+  /**
+   * Check whether the token at offset is the given keyword.
+   * Unquoted identifiers match too, so non-reserved words can be used as keywords.
+   * @private
+   */
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    if (token.type === 'keyword') return token.value === keyword;
+    return token.type === 'identifier' && !token.quoted && token.value.toUpperCase() === keyword;
+  }
 
-    // WHERE句の処理
-    if (whereClause) {
-      data = data.filter(row => this.evaluateWhere(row, whereClause, tableName));
+  /**
+   * @private
+   */
+  matchKeyword(keyword) {
+    if (this.isKeyword(keyword)) {
+      this.next();
+      return true;
     }
+    return false;
+  }
 
-    // GROUP BY の処理
-    if (groupByClause) {
-      data = this.groupBy(data, groupByClause, havingClause, tableName);
+  /**
+   * @private
+   */
+  expectKeyword(keyword) {
+    if (!this.matchKeyword(keyword)) {
+      throw this.error(`Expected ${keyword}`);
     }
+  }
 
-    // ORDER BY の処理
-    if (orderByClause) {
-      data = this.orderBy(data, orderByClause);
-    }
+  /**
+   * @private
+   */
+  isSymbol(symbol, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'symbol' && token.value === symbol;
+  }
 
-    // LIMIT, OFFSET の処理
-    if (limitClause) {
-      data = this.applyLimit(data, limitClause);
+  /**
+   * @private
+   */
+  matchSymbol(symbol) {
+    if (this.isSymbol(symbol)) {
+      this.next();
+      return true;
     }
+    return false;
+  }
 
-    // DISTINCT の処理
-    if (distinct) {
-      data = this.applyDistinct(data, columns);
+  /**
+   * @private
+   */
+  expectSymbol(symbol) {
+    if (!this.matchSymbol(symbol)) {
+      throw this.error(`Expected "${symbol}"`);
     }
+  }
 
-    // カラム選択の処理
-    if (columns.trim() !== '*') {
-      const selectedColumns = columns.split(',').map(c => c.trim());
-      data = data.map(row => {
-        const selected = {};
-        selectedColumns.forEach(col => {
-          const colName = col.includes('.') ? col.split('.')[1] : col;
-          selected[col] = this.evaluateExpression(col, row);
-        });
-        return selected;
-      });
+  /**
+   * Consume an identifier (table, column or alias name)
+   * @private
+   * @param {string} what - Description used in the error message
+   * @returns {string} The identifier
+   */
+  expectIdentifier(what = 'identifier') {
+    const token = this.peek();
+    if (token.type !== 'identifier') {
+      throw this.error(`Expected ${what}`);
     }
-
-    return data;
+    this.next();
+    return token.value;
   }
 
   /**
-   * Execute SELECT query with UNION
+   * Build a syntax error pointing at the current token
    * @private
-   * @param {string} query - The SQL query
-   * @returns {array} Query result
+   * @param {string} message - Description of what was expected
+   * @param {object} token - The offending token (default: current token)
+   * @returns {SQLSyntaxError} The error
    */
-  selectWithUnion(query) {
-    // UNION ALL と UNION を区別
-    const isUnionAll = /\s+UNION\s+ALL\s+/i.test(query);
-    
-    // UNIONで複数のSELECT文を分割
-    const unionRegex = isUnionAll 
-      ? /\s+UNION\s+ALL\s+/i 
-      : /\s+UNION\s+/i;
-    
-    const selectQueries = query.split(unionRegex);
-    
-    if (selectQueries.length < 2) {
-      throw new Error('Invalid UNION syntax');
-    }
+  error(message, token = this.peek()) {
+    const found = token.type === 'eof' ? 'end of input' : `"${token.text}"`;
+    return new SQLSyntaxError(`${message} but found ${found}`, token);
+  }
 
-    // 各SELECT文を実行して結果を結合
-    let results = [];
-    
-    selectQueries.forEach(selectQuery => {
-      const subResults = this.select(selectQuery.trim());
-      results = results.concat(subResults);
-    });
+  // ---------------------------------------------------------------------------
+  // 文
+  // ---------------------------------------------------------------------------
 
-    // UNION（UNION ALLでない場合）は重複を除外
-    if (!isUnionAll) {
-      results = this.applyDistinct(results, '*');
+  /**
+   * Parse one statement followed by an optional semicolon and end of input
+   * @private
+   * @returns {object} The statement AST
+   */
+  parseStatement() {
+    const statement = this.parseStatementBody();
+    this.matchSymbol(';');
+    if (this.peek().type !== 'eof') {
+      throw this.error('Expected end of statement');
     }
-
-    return results;
+    return statement;
   }
 
   /**
-   * Process GROUP BY clause
+   * Parse statements separated by semicolons until the end of input
    * @private
-   * @param {array} data - The data to group
-   * @param {string} groupByClause - The GROUP BY clause
-   * @param {string} havingClause - The HAVING clause
-   * @param {string} tableName - The table name
-   * @returns {array} Grouped data
+   * @returns {array} { statement, line } for each statement
    */
-  groupBy(data, groupByClause, havingClause, tableName) {
-    const groupColumns = groupByClause.split(',').map(c => c.trim());
-    const groups = {};
-
-    // グループを作成
-    data.forEach(row => {
-      const groupKey = groupColumns.map(col => {
-        const colName = col.includes('.') ? col.split('.')[1] : col;
-        return row[colName];
-      }).join('|');
-
-      if (!groups[groupKey]) {
-        groups[groupKey] = {
-          rows: [],
-          keys: {}
-        };
-        groupColumns.forEach(col => {
-          const colName = col.includes('.') ? col.split('.')[1] : col;
-          groups[groupKey].keys[col] = row[colName];
-        });
+  parseScript() {
+    const statements = [];
+    for (;;) {
+      while (this.matchSymbol(';')) {
+        // 空の文（連続したセミコロン）は読み飛ばす
       }
-      groups[groupKey].rows.push(row);
-    });
-
-    // グループごとに集計関数を計算
-    const result = [];
-    Object.values(groups).forEach(group => {
-      const aggregated = { ...group.keys };
-      
-      // 集計関数の計算
-      group.rows[0] && Object.keys(group.rows[0]).forEach(col => {
-        if (!groupColumns.includes(col)) {
-          aggregated[col] = group.rows[0][col];
-        }
-      });
-
-      result.push(aggregated);
-    });
+      if (this.peek().type === 'eof') return statements;
 
-    // HAVING句を適用
-    if (havingClause) {
-      return result.filter(row => this.evaluateWhere(row, havingClause, tableName));
+      const line = this.peek().line;
+      statements.push({ statement: this.parseStatementBody(), line: line });
+      if (this.peek().type !== 'eof') {
+        this.expectSymbol(';');
+      }
     }
-
-    return result;
   }
 
   /**
-   * Process ORDER BY clause
+   * Parse a statement without the trailing semicolon
    * @private
-   * @param {array} data - The data to sort
-   * @param {string} orderByClause - The ORDER BY clause
-   * @returns {array} Sorted data
+   * @returns {object} The statement AST
    */
-  orderBy(data, orderByClause) {
-    const parts = orderByClause.split(',').map(p => {
-      const [col, dir] = p.trim().split(/\s+/);
-      return { col: col.includes('.') ? col.split('.')[1] : col, dir: (dir || 'ASC').toUpperCase() };
-    });
-
-    return data.sort((a, b) => {
-      for (let part of parts) {
-        const valA = a[part.col];
-        const valB = b[part.col];
-        let cmp = 0;
+  parseStatementBody() {
+    const token = this.peek();
+    let statement;
+
+    if (this.isKeyword('SELECT')) {
+      statement = this.parseQuery();
+    } else if (this.isKeyword('WITH')) {
+      statement = this.parseWithStatement();
+    } else if (this.isKeyword('INSERT') || this.isKeyword('REPLACE')) {
+      statement = this.parseInsert();
+    } else if (this.isKeyword('UPDATE')) {
+      statement = this.parseUpdate();
+    } else if (this.isKeyword('DELETE')) {
+      statement = this.parseDelete();
+    } else if (this.isKeyword('CREATE')) {
+      statement = this.isKeyword('TABLE', 1) ? this.parseCreateTable() : this.parseCreateIndex();
+    } else if (this.isKeyword('DROP')) {
+      statement = this.isKeyword('TABLE', 1) ? this.parseDropTable() : this.parseDropIndex();
+    } else if (this.isKeyword('ALTER')) {
+      statement = this.parseAlterTable();
+    } else if (this.isKeyword('TRUNCATE')) {
+      statement = this.parseTruncate();
+    } else if (this.isKeyword('PRAGMA')) {
+      statement = this.parsePragma();
+    } else if (['BEGIN', 'COMMIT', 'END', 'ROLLBACK', 'SAVEPOINT', 'RELEASE'].some(kw => this.isKeyword(kw))) {
+      statement = this.parseTransactionControl();
+    } else {
+      const found = token.type === 'eof' ? 'end of input' : `"${token.text}"`;
+      throw new SQLSyntaxError(
+        `Unknown SQL command ${found}. Supported commands: CREATE TABLE, DROP TABLE, ALTER TABLE, TRUNCATE, ` +
+        'CREATE INDEX, DROP INDEX, INSERT, SELECT, UPDATE, DELETE, BEGIN, COMMIT, ROLLBACK, SAVEPOINT, RELEASE, PRAGMA',
+        token
+      );
+    }
+    return statement;
+  }
 
-        if (valA < valB) cmp = -1;
-        else if (valA > valB) cmp = 1;
+  /**
+   * Parse a SELECT, possibly combined with UNION [ALL] / INTERSECT / EXCEPT,
+   * followed by ORDER BY and LIMIT for the whole result
+   * @private
+   * @returns {object} select or compound node
+   */
+  parseQuery() {
+    const withClause = this.isKeyword('WITH') ? this.parseWith() : null;
+    let query = this.parseIntersect();
+
+    // UNION と EXCEPT は同じ優先順位で左から結合する
+    while (this.isKeyword('UNION') || this.isKeyword('EXCEPT')) {
+      let operator = this.next().value.toUpperCase();
+      if (operator === 'UNION' && this.matchKeyword('ALL')) {
+        operator = 'UNION ALL';
+      }
+      query = this.compoundNode(operator, query, this.parseIntersect());
+    }
 
-        if (cmp !== 0) {
-          return part.dir === 'DESC' ? -cmp : cmp;
+    if (this.matchKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      query.orderBy = this.parseOrderBy();
+    }
+    if (this.matchKeyword('LIMIT')) {
+      const first = this.parseExpression();
+      if (this.matchSymbol(',')) {
+        // LIMIT offset, count
+        query.offset = first;
+        query.limit = this.parseExpression();
+      } else {
+        query.limit = first;
+        if (this.matchKeyword('OFFSET')) {
+          query.offset = this.parseExpression();
         }
       }
-      return 0;
-    });
+    }
+
+    if (withClause) {
+      query.with = withClause;
+    }
+    return query;
   }
 
   /**
-   * Apply LIMIT and OFFSET clauses
+   * Parse SELECTs combined with INTERSECT, which binds tighter than UNION and EXCEPT
    * @private
-   * @param {array} data - The data to limit
-   * @param {string} limitClause - The LIMIT clause
-   * @returns {array} Limited data
-   */
-  applyLimit(data, limitClause) {
-    const parts = limitClause.split(',').map(p => parseInt(p.trim()));
-    
-    if (parts.length === 2) {
-      // LIMIT offset, count
-      const [offset, count] = parts;
-      return data.slice(offset, offset + count);
-    } else {
-      // LIMIT count [OFFSET offset]
-      const match = limitClause.match(/(\d+)(?:\s+OFFSET\s+(\d+))?/i);
-      if (match) {
-        const count = parseInt(match[1]);
-        const offset = match[2] ? parseInt(match[2]) : 0;
-        return data.slice(offset, offset + count);
-      }
+   * @returns {object} select or compound node
+   */
+  parseIntersect() {
+    let query = this.parseSelect();
+    while (this.matchKeyword('INTERSECT')) {
+      query = this.compoundNode('INTERSECT', query, this.parseSelect());
     }
-    return data;
+    return query;
   }
 
   /**
-   * Apply DISTINCT clause
    * @private
-   * @param {array} data - The data to apply DISTINCT
-   * @param {string} columns - The columns to check for distinctness
-   * @returns {array} Distinct data
    */
-  applyDistinct(data, columns) {
-    if (columns.trim() === '*') {
-      // すべてのカラムで重複排除
-      const seen = new Set();
-      return data.filter(row => {
-        const key = JSON.stringify(row);
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      });
-    } else {
-      // 指定されたカラムで重複排除
-      const cols = columns.split(',').map(c => c.trim());
-      const seen = new Set();
-      return data.filter(row => {
-        const key = cols.map(col => row[col]).join('|');
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      });
-    }
+  compoundNode(operator, left, right) {
+    return { type: 'compound', operator: operator, left: left, right: right, orderBy: [], limit: null, offset: null };
   }
 
   /**
-   * Evaluate expression (function calls, etc.)
+   * Check whether a query (SELECT or WITH ... SELECT) starts at the current token
    * @private
-   * @param {string} expr - The expression to evaluate
-   * @param {object} row - The data row
-   * @returns {*} The evaluation result
    */
-  evaluateExpression(expr, row) {
-    expr = expr.trim();
-
-    // 集計関数
-    const countMatch = expr.match(/COUNT\s*\(\s*\*\s*\)/i);
-    if (countMatch) return row['COUNT(*)'] !== undefined ? row['COUNT(*)'] : 1;
-
-    const countColMatch = expr.match(/COUNT\s*\(\s*(\w+)\s*\)/i);
-    if (countColMatch) return row[countColMatch[0]] !== undefined ? row[countColMatch[0]] : 0;
+  isQueryStart() {
+    return this.isKeyword('SELECT') || this.isKeyword('WITH');
+  }
 
-    // スカラー関数
-    const upperMatch = expr.match(/UPPER\s*\(\s*(\w+)\s*\)/i);
-    if (upperMatch) {
-      const col = upperMatch[1];
-      return row[col] ? String(row[col]).toUpperCase() : null;
-    }
+  /**
+   * Parse WITH [RECURSIVE] name [(columns)] AS (query), ...
+   * @private
+   * @returns {object} { recursive, ctes: [{ name, columns, query }] }
+   */
+  parseWith() {
+    this.expectKeyword('WITH');
+    const recursive = this.matchKeyword('RECURSIVE');
+    const ctes = [];
+
+    do {
+      const token = this.peek();
+      const name = this.expectIdentifier('common table expression name');
+      if (ctes.some(cte => cte.name === name)) {
+        throw new SQLSyntaxError(`Duplicate WITH table name: ${name}`, token);
+      }
 
-    const lowerMatch = expr.match(/LOWER\s*\(\s*(\w+)\s*\)/i);
-    if (lowerMatch) {
-      const col = lowerMatch[1];
-      return row[col] ? String(row[col]).toLowerCase() : null;
-    }
+      let columns = null;
+      if (this.matchSymbol('(')) {
+        columns = this.parseIdentifierList('column name');
+        this.expectSymbol(')');
+      }
 
-    const lengthMatch = expr.match(/LENGTH\s*\(\s*(\w+)\s*\)/i);
-    if (lengthMatch) {
-      const col = lengthMatch[1];
-      return row[col] ? String(row[col]).length : 0;
-    }
+      this.expectKeyword('AS');
+      this.expectSymbol('(');
+      const query = this.parseQuery();
+      this.expectSymbol(')');
+      ctes.push({ name: name, columns: columns, query: query });
+    } while (this.matchSymbol(','));
 
-    const concatMatch = expr.match(/CONCAT\s*\((.*)\)/i);
-    if (concatMatch) {
-      const parts = concatMatch[1].split(',').map(p => {
-        const trimmed = p.trim();
-        const colMatch = trimmed.match(/^(\w+)$/);
-        if (colMatch) {
-          return row[trimmed] || '';
-        }
-        return this.parseValue(trimmed);
-      });
-      return parts.join('');
-    }
+    return { recursive: recursive, ctes: ctes };
+  }
 
-    // テーブル名.カラム名 形式の場合、カラム名のみを抽出
-    if (expr.includes('.')) {
-      const colName = expr.split('.')[1];
-      return row[colName];
+  /**
+   * Parse a statement that starts with a WITH clause: a query, INSERT, UPDATE or DELETE
+   * @private
+   * @returns {object} The statement AST with a with property
+   */
+  parseWithStatement() {
+    const withClause = this.parseWith();
+    let statement;
+
+    if (this.isKeyword('SELECT')) {
+      statement = this.parseQuery();
+    } else if (this.isKeyword('INSERT') || this.isKeyword('REPLACE')) {
+      statement = this.parseInsert();
+    } else if (this.isKeyword('UPDATE')) {
+      statement = this.parseUpdate();
+    } else if (this.isKeyword('DELETE')) {
+      statement = this.parseDelete();
+    } else {
+      throw this.error('Expected SELECT, INSERT, UPDATE or DELETE');
     }
 
-    return row[expr];
+    statement.with = withClause;
+    return statement;
   }
 
   /**
-   * Execute SELECT query with JOIN
+   * Parse a single SELECT
    * @private
-   * @param {string} query - The SQL query
-   * @returns {array} Query result
+   * @returns {object} select node
    */
-  selectWithJoin(query) {
-    const fromJoinMatch = query.match(
-      /FROM\s+(\w+)\s+(INNER\s+JOIN|LEFT\s+JOIN|RIGHT\s+JOIN|CROSS\s+JOIN|JOIN)\s+(\w+)(?:\s+ON\s+(.+?))?(?:\s+WHERE\s+(.+?))?(?:\s+ORDER\s+BY\s+(.+?))?(?:\s+LIMIT\s+(.+))?$/i
-    );
-
-    if (!fromJoinMatch) throw new Error('Invalid JOIN syntax');
-
-    const table1Name = fromJoinMatch[1];
-    const joinType = fromJoinMatch[2].toUpperCase();
-    const table2Name = fromJoinMatch[3];
-    const onClause = fromJoinMatch[4];
-    const whereClause = fromJoinMatch[5];
-    const orderByClause = fromJoinMatch[6];
-    const limitClause = fromJoinMatch[7];
+  parseSelect() {
+    this.expectKeyword('SELECT');
+
+    const select = {
+      type: 'select',
+      distinct: false,
+      columns: [],
+      from: null,
+      where: null,
+      groupBy: [],
+      having: null,
+      orderBy: [],
+      limit: null,
+      offset: null
+    };
 
-    // CROSS JOIN以外はON句が必須
-    if (!onClause && !joinType.includes('CROSS')) {
-      throw new Error('ON clause is required for this JOIN type');
+    if (this.matchKeyword('DISTINCT')) {
+      select.distinct = true;
+    } else {
+      this.matchKeyword('ALL');
     }
 
-    // SELECT句を取得
-    const selectMatch = query.match(/SELECT\s+(.*?)\s+FROM/i);
-    if (!selectMatch) throw new Error('Invalid SELECT syntax');
-    const columns = selectMatch[1].trim();
+    do {
+      select.columns.push(this.parseResultColumn());
+    } while (this.matchSymbol(','));
 
-    if (!this.tables[table1Name]) {
-      throw new Error(`Table ${table1Name} does not exist`);
+    if (this.matchKeyword('FROM')) {
+      select.from = this.parseFrom();
     }
-    if (!this.tables[table2Name]) {
-      throw new Error(`Table ${table2Name} does not exist`);
+    if (this.matchKeyword('WHERE')) {
+      select.where = this.parseExpression();
+    }
+    if (this.matchKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      select.groupBy = this.parseExpressionList();
+    }
+    if (this.matchKeyword('HAVING')) {
+      select.having = this.parseExpression();
     }
 
-    let data1 = this.getTableData(table1Name);
-    let data2 = this.getTableData(table2Name);
-
-    let joinedData = this.performJoin(data1, data2, table1Name, table2Name, onClause, joinType);
+    // ORDER BY・LIMITはparseQuery()で読む（複合SELECTでは結果全体に適用する）
+    return select;
+  }
 
-    // WHERE句を適用
-    if (whereClause) {
-      joinedData = joinedData.filter(row => this.evaluateWhere(row, whereClause));
+  /**
+   * Parse one item of the SELECT list
+   * @private
+   * @returns {object} { type: 'star', table } or { type: 'expr', expr, alias, name }
+   */
+  parseResultColumn() {
+    if (this.matchSymbol('*')) {
+      return { type: 'star', table: null };
     }
-
-    // ORDER BY を処理
-    if (orderByClause) {
-      joinedData = this.orderBy(joinedData, orderByClause);
+    if (this.peek().type === 'identifier' && this.isSymbol('.', 1) && this.isSymbol('*', 2)) {
+      const table = this.next().value;
+      this.next();
+      this.next();
+      return { type: 'star', table: table };
     }
 
-    // LIMIT を処理
-    if (limitClause) {
-      joinedData = this.applyLimit(joinedData, limitClause);
+    const start = this.peek();
+    const expr = this.parseExpression();
+    let name = this.sql.slice(start.position, this.previous().end);
+    if (expr.type === 'column') {
+      name = expr.table ? `${expr.table}.${expr.name}` : expr.name;
     }
-
-    // カラム選択を適用
-    if (columns !== '*') {
-      const selectedColumns = columns.split(',').map(c => c.trim());
-      joinedData = joinedData.map(row => {
-        const selected = {};
-        selectedColumns.forEach(col => {
-          selected[col] = row[col];
-        });
-        return selected;
-      });
+    let alias = null;
+
+    const token = this.peek();
+    if (this.matchKeyword('AS')) {
+      alias = this.expectIdentifier('column alias');
+    } else if (token.type === 'identifier' &&
+        !(!token.quoted && ['EXCEPT', 'INTERSECT'].includes(token.value.toUpperCase()))) {
+      alias = this.next().value;
     }
 
-    return joinedData;
+    return { type: 'expr', expr: expr, alias: alias, name: alias || name };
   }
 
   /**
-   * Perform the actual JOIN operation
+   * Parse the FROM clause: tables and derived tables combined with JOINs or commas
    * @private
-   * @param {array} data1 - First table data
-   * @param {array} data2 - Second table data
-   * @param {string} table1Name - First table name
-   * @param {string} table2Name - Second table name
-   * @param {string} onClause - The ON condition
-   * @param {string} joinType - The type of JOIN
-   * @returns {array} Joined data
+   * @returns {object} table, subquery or join node
    */
-  performJoin(data1, data2, table1Name, table2Name, onClause, joinType) {
-    const result = [];
+  parseFrom() {
+    let from = this.parseTableOrSubquery();
 
-    if (joinType === 'CROSS JOIN') {
-      for (let row1 of data1) {
-        for (let row2 of data2) {
-          result.push(this.mergeRows(row1, row2, table1Name, table2Name));
-        }
+    for (;;) {
+      if (this.matchSymbol(',')) {
+        from = { type: 'join', joinType: 'CROSS', left: from, right: this.parseTableOrSubquery(), on: null, using: null, natural: false };
+        continue;
       }
-      return result;
-    }
 
-    const onMatch = onClause.match(/(\w+)\.(\w+)\s*=\s*(\w+)\.(\w+)/);
-    if (!onMatch) throw new Error('Invalid ON clause syntax');
-
-    const [, t1, col1, t2, col2] = onMatch;
-    const table1 = t1.toLowerCase() === table1Name.toLowerCase() ? table1Name : table2Name;
-    const table2 = t2.toLowerCase() === table1Name.toLowerCase() ? table1Name : table2Name;
-    const key1 = t1.toLowerCase() === table1Name.toLowerCase() ? col1 : col2;
-    const key2 = t2.toLowerCase() === table1Name.toLowerCase() ? col2 : col1;
+      const natural = this.matchKeyword('NATURAL');
+      let joinType;
+      if (this.matchKeyword('JOIN')) {
+        joinType = 'INNER';
+      } else if (this.isKeyword('INNER') || this.isKeyword('CROSS')) {
+        joinType = this.next().value;
+        this.expectKeyword('JOIN');
+      } else if (this.isKeyword('LEFT') || this.isKeyword('RIGHT') || this.isKeyword('FULL')) {
+        joinType = this.next().text.toUpperCase();
+        this.matchKeyword('OUTER');
+        this.expectKeyword('JOIN');
+      } else if (natural) {
+        throw this.error('Expected JOIN');
+      } else {
+        break;
+      }
 
-    const data1Actual = table1 === table1Name ? data1 : data2;
-    const data2Actual = table2 === table1Name ? data1 : data2;
+      const right = this.parseTableOrSubquery();
+      let on = null;
+      let using = null;
+      if (natural || joinType === 'CROSS') {
+        // NATURAL JOIN は同名のカラムで結合するため ON / USING を取らない
+      } else if (this.matchKeyword('ON')) {
+        on = this.parseExpression();
+      } else if (this.matchKeyword('USING')) {
+        this.expectSymbol('(');
+        using = this.parseIdentifierList('column name');
+        this.expectSymbol(')');
+      } else {
+        throw this.error('Expected ON or USING (required for this JOIN type)');
+      }
+      if (joinType === 'CROSS' && this.matchKeyword('ON')) {
+        on = this.parseExpression();
+      }
+
+      from = { type: 'join', joinType: joinType, left: from, right: right, on: on, using: using, natural: natural };
+    }
+
+    return from;
+  }
+
+  /**
+   * Parse a table name or a derived table, each with an optional alias
+   * @private
+   * @returns {object} table or subquery node
+   */
+  parseTableOrSubquery() {
+    if (this.matchSymbol('(')) {
+      const query = this.parseQuery();
+      this.expectSymbol(')');
+      this.matchKeyword('AS');
+      const alias = this.expectIdentifier('derived table alias');
+      return { type: 'subquery', query: query, alias: alias };
+    }
+
+    const name = this.expectIdentifier('table name');
+    return { type: 'table', name: name, alias: this.parseTableAlias() };
+  }
+
+  /**
+   * Parse an optional table alias: AS name, or a name that does not start
+   * the next clause
+   * @private
+   * @returns {string|null} The alias
+   */
+  parseTableAlias() {
+    if (this.matchKeyword('AS')) {
+      return this.expectIdentifier('table alias');
+    }
+    const token = this.peek();
+    if (token.type === 'identifier' &&
+        !(!token.quoted && ['NATURAL', 'FULL', 'USING', 'EXCEPT', 'INTERSECT'].includes(token.value.toUpperCase()))) {
+      this.next();
+      return token.value;
+    }
+    return null;
+  }
+
+  /**
+   * Parse ORDER BY terms
+   * @private
+   * @returns {array} Array of { expr, descending }
+   */
+  parseOrderBy() {
+    const terms = [];
+    do {
+      const expr = this.parseExpression();
+      let descending = false;
+      if (this.matchKeyword('DESC')) {
+        descending = true;
+      } else {
+        this.matchKeyword('ASC');
+      }
+      terms.push({ expr: expr, descending: descending });
+    } while (this.matchSymbol(','));
+    return terms;
+  }
+
+  /**
+   * Parse INSERT [OR REPLACE | OR IGNORE] INTO table [AS alias] [(columns)]
+   * VALUES (...), ... | SELECT ... | DEFAULT VALUES [upsert clause].
+   * REPLACE INTO is the same as INSERT OR REPLACE INTO.
+   * @private
+   * @returns {object} insert node
+   */
+  parseInsert() {
+    let conflict = null;
+    if (this.matchKeyword('REPLACE')) {
+      conflict = 'REPLACE';
+    } else {
+      this.expectKeyword('INSERT');
+      if (this.matchKeyword('OR')) {
+        conflict = ['REPLACE', 'IGNORE', 'ABORT'].find(keyword => this.matchKeyword(keyword));
+        if (!conflict) {
+          throw this.error('Expected REPLACE, IGNORE or ABORT');
+        }
+        if (conflict === 'ABORT') conflict = null;
+      }
+    }
+    this.expectKeyword('INTO');
+    const table = this.expectIdentifier('table name');
+    // 別名は AS 付きのみ（ON CONFLICT DO UPDATE で既存の行を指す）
+    const alias = this.matchKeyword('AS') ? this.expectIdentifier('table alias') : null;
+
+    let columns = null;
+    if (this.matchSymbol('(')) {
+      columns = this.parseIdentifierList('column name');
+      this.expectSymbol(')');
+    }
+
+    let rows = null;
+    let query = null;
+    if (columns === null && this.matchKeyword('DEFAULT')) {
+      this.expectKeyword('VALUES');
+      columns = [];
+      rows = [[]];
+    } else if (this.matchKeyword('VALUES')) {
+      rows = [];
+      do {
+        this.expectSymbol('(');
+        rows.push(this.parseExpressionList());
+        this.expectSymbol(')');
+      } while (this.matchSymbol(','));
+    } else if (this.isQueryStart()) {
+      query = this.parseQuery();
+    } else {
+      throw this.error('Expected VALUES or SELECT');
+    }
+
+    const upsert = this.isKeyword('ON') && this.isKeyword('CONFLICT', 1) ? this.parseUpsert() : null;
+
+    return {
+      type: 'insert',
+      table: table,
+      alias: alias,
+      columns: columns,
+      rows: rows,
+      query: query,
+      conflict: conflict,
+      upsert: upsert
+    };
+  }
+
+  /**
+   * Parse ON CONFLICT [(columns)] DO NOTHING | DO UPDATE SET ... [WHERE expr]
+   * @private
+   * @returns {object} { target, action: 'nothing'|'update', assignments, where }
+   */
+  parseUpsert() {
+    this.expectKeyword('ON');
+    this.expectKeyword('CONFLICT');
+    const target = this.isSymbol('(') ? this.parseIndexedColumns() : null;
+    this.expectKeyword('DO');
+
+    if (this.matchKeyword('NOTHING')) {
+      return { target: target, action: 'nothing', assignments: [], where: null };
+    }
+
+    this.expectKeyword('UPDATE');
+    this.expectKeyword('SET');
+    const assignments = this.parseAssignments();
+    const where = this.matchKeyword('WHERE') ? this.parseExpression() : null;
+    return { target: target, action: 'update', assignments: assignments, where: where };
+  }
+
+  /**
+   * Parse col = expr, ... of a SET clause
+   * @private
+   * @returns {array} [{ column, value }]
+   */
+  parseAssignments() {
+    const assignments = [];
+    do {
+      const column = this.expectIdentifier('column name');
+      this.expectSymbol('=');
+      assignments.push({ column: column, value: this.parseExpression() });
+    } while (this.matchSymbol(','));
+    return assignments;
+  }
+
+  /**
+   * Parse UPDATE table [[AS] alias] SET col = expr, ... [WHERE expr]
+   * @private
+   * @returns {object} update node
+   */
+  parseUpdate() {
+    this.expectKeyword('UPDATE');
+    const table = this.expectIdentifier('table name');
+    const alias = this.parseTableAlias();
+    this.expectKeyword('SET');
+    const assignments = this.parseAssignments();
+    const where = this.matchKeyword('WHERE') ? this.parseExpression() : null;
+
+    return { type: 'update', table: table, alias: alias, assignments: assignments, where: where };
+  }
+
+  /**
+   * Parse DELETE FROM table [[AS] alias] [WHERE expr]
+   * @private
+   * @returns {object} delete node
+   */
+  parseDelete() {
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    const table = this.expectIdentifier('table name');
+    const alias = this.parseTableAlias();
+    const where = this.matchKeyword('WHERE') ? this.parseExpression() : null;
+
+    return { type: 'delete', table: table, alias: alias, where: where };
+  }
+
+  /**
+   * Parse CREATE TABLE [IF NOT EXISTS] name (column definitions and
+   * table constraints)
+   * @private
+   * @returns {object} createTable node
+   */
+  parseCreateTable() {
+    this.expectKeyword('CREATE');
+    this.expectKeyword('TABLE');
+
+    let ifNotExists = false;
+    if (this.matchKeyword('IF')) {
+      this.expectKeyword('NOT');
+      this.expectKeyword('EXISTS');
+      ifNotExists = true;
+    }
+
+    const name = this.expectIdentifier('table name');
+    this.expectSymbol('(');
+
+    const columns = [];
+    const constraints = [];
+    do {
+      if (this.isTableConstraint()) {
+        constraints.push(this.parseTableConstraint());
+      } else {
+        columns.push(this.parseColumnDefinition());
+      }
+    } while (this.matchSymbol(','));
+
+    this.expectSymbol(')');
+
+    return { type: 'createTable', name: name, ifNotExists: ifNotExists, columns: columns, constraints: constraints };
+  }
+
+  /**
+   * Parse DROP TABLE [IF EXISTS] name
+   * @private
+   * @returns {object} dropTable node
+   */
+  parseDropTable() {
+    this.expectKeyword('DROP');
+    this.expectKeyword('TABLE');
+
+    let ifExists = false;
+    if (this.matchKeyword('IF')) {
+      this.expectKeyword('EXISTS');
+      ifExists = true;
+    }
+
+    return { type: 'dropTable', name: this.expectIdentifier('table name'), ifExists: ifExists };
+  }
+
+  /**
+   * Parse ALTER TABLE name followed by
+   * ADD [COLUMN] definition | DROP [COLUMN] name |
+   * RENAME [COLUMN] name TO new_name | RENAME TO new_name
+   * @private
+   * @returns {object} alterTable node ({ table, action, column, newName })
+   */
+  parseAlterTable() {
+    this.expectKeyword('ALTER');
+    this.expectKeyword('TABLE');
+    const table = this.expectIdentifier('table name');
+
+    if (this.matchKeyword('ADD')) {
+      this.matchKeyword('COLUMN');
+      return { type: 'alterTable', table: table, action: 'addColumn', column: this.parseColumnDefinition() };
+    }
+    if (this.matchKeyword('DROP')) {
+      this.matchKeyword('COLUMN');
+      return { type: 'alterTable', table: table, action: 'dropColumn', column: this.expectIdentifier('column name') };
+    }
+    if (this.matchKeyword('RENAME')) {
+      if (this.matchKeyword('TO')) {
+        return { type: 'alterTable', table: table, action: 'renameTable', newName: this.expectIdentifier('table name') };
+      }
+      this.matchKeyword('COLUMN');
+      const column = this.expectIdentifier('column name');
+      this.expectKeyword('TO');
+      return { type: 'alterTable', table: table, action: 'renameColumn', column: column, newName: this.expectIdentifier('column name') };
+    }
+    throw this.error('Expected ADD, DROP or RENAME');
+  }
+
+  /**
+   * Parse TRUNCATE [TABLE] name
+   * @private
+   * @returns {object} truncate node
+   */
+  parseTruncate() {
+    this.expectKeyword('TRUNCATE');
+    this.matchKeyword('TABLE');
+    return { type: 'truncate', name: this.expectIdentifier('table name') };
+  }
+
+  /**
+   * Parse PRAGMA name [= value] or PRAGMA name(value)
+   * @private
+   * @returns {object} pragma node (value is null when reading the setting)
+   */
+  parsePragma() {
+    this.expectKeyword('PRAGMA');
+    const name = this.expectIdentifier('pragma name').toLowerCase();
+
+    let value = null;
+    const parenthesized = this.matchSymbol('(');
+    if (parenthesized || this.matchSymbol('=')) {
+      const negative = this.matchSymbol('-');
+      const token = this.next();
+      if (!['identifier', 'keyword', 'number', 'string'].includes(token.type) || (negative && token.type !== 'number')) {
+        throw this.error('Expected pragma value', token);
+      }
+      value = negative ? -token.value : token.value;
+      if (parenthesized) this.expectSymbol(')');
+    }
+
+    return { type: 'pragma', name: name, value: value };
+  }
+
+  /**
+   * Whether the next tokens start a table constraint rather than a column
+   * @private
+   */
+  isTableConstraint() {
+    return this.isKeyword('CONSTRAINT') ||
+      (this.isKeyword('PRIMARY') && this.isKeyword('KEY', 1)) ||
+      (this.isKeyword('FOREIGN') && this.isKeyword('KEY', 1)) ||
+      ((this.isKeyword('UNIQUE') || this.isKeyword('CHECK')) && this.isSymbol('(', 1));
+  }
+
+  /**
+   * Parse [CONSTRAINT name] PRIMARY KEY (cols) | UNIQUE (cols) | CHECK (expr) |
+   * FOREIGN KEY (cols) REFERENCES ...
+   * @private
+   * @returns {object} { type: 'primaryKey'|'unique'|'check'|'foreignKey', name, columns, check, references }
+   */
+  parseTableConstraint() {
+    const name = this.matchKeyword('CONSTRAINT') ? this.expectIdentifier('constraint name') : null;
+
+    if (this.matchKeyword('PRIMARY')) {
+      this.expectKeyword('KEY');
+      return { type: 'primaryKey', name: name, columns: this.parseIndexedColumns() };
+    }
+    if (this.matchKeyword('UNIQUE')) {
+      return { type: 'unique', name: name, columns: this.parseIndexedColumns() };
+    }
+    if (this.matchKeyword('CHECK')) {
+      return { type: 'check', name: name, check: this.parseCheckConstraint() };
+    }
+    if (this.matchKeyword('FOREIGN')) {
+      this.expectKeyword('KEY');
+      this.expectSymbol('(');
+      const columns = this.parseIdentifierList('column name');
+      this.expectSymbol(')');
+      this.expectKeyword('REFERENCES');
+      return { type: 'foreignKey', name: name, columns: columns, references: this.parseReferences() };
+    }
+    throw this.error('Expected PRIMARY KEY, UNIQUE, CHECK or FOREIGN KEY');
+  }
+
+  /**
+   * Parse the part of a foreign key after REFERENCES:
+   * table [(cols)] [ON DELETE action] [ON UPDATE action]
+   * @private
+   * @returns {object} { table, columns (null: the primary key), onDelete, onUpdate }
+   */
+  parseReferences() {
+    const references = {
+      table: this.expectIdentifier('table name'),
+      columns: null,
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION'
+    };
+    if (this.matchSymbol('(')) {
+      references.columns = this.parseIdentifierList('column name');
+      this.expectSymbol(')');
+    }
+
+    for (;;) {
+      if (this.matchKeyword('ON')) {
+        if (this.matchKeyword('DELETE')) {
+          references.onDelete = this.parseReferentialAction();
+        } else {
+          this.expectKeyword('UPDATE');
+          references.onUpdate = this.parseReferentialAction();
+        }
+      } else if (this.matchKeyword('MATCH')) {
+        this.expectIdentifier('match type');
+      } else if (this.isKeyword('DEFERRABLE') || (this.isKeyword('NOT') && this.isKeyword('DEFERRABLE', 1))) {
+        // 遅延チェックには対応しないため、即時チェックとして扱う
+        this.matchKeyword('NOT');
+        this.next();
+        if (this.matchKeyword('INITIALLY')) this.next();
+      } else {
+        return references;
+      }
+    }
+  }
+
+  /**
+   * Parse CASCADE | SET NULL | SET DEFAULT | RESTRICT | NO ACTION
+   * @private
+   * @returns {string} The action in upper case
+   */
+  parseReferentialAction() {
+    if (this.matchKeyword('SET')) {
+      if (this.matchKeyword('NULL')) return 'SET NULL';
+      this.expectKeyword('DEFAULT');
+      return 'SET DEFAULT';
+    }
+    if (this.matchKeyword('NO')) {
+      this.expectKeyword('ACTION');
+      return 'NO ACTION';
+    }
+    if (this.matchKeyword('CASCADE')) return 'CASCADE';
+    if (this.matchKeyword('RESTRICT')) return 'RESTRICT';
+    throw this.error('Expected CASCADE, SET NULL, SET DEFAULT, RESTRICT or NO ACTION');
+  }
+
+  /**
+   * Parse a parenthesized column list where each column may be followed by
+   * ASC or DESC
+   * @private
+   * @returns {array} Column names
+   */
+  parseIndexedColumns() {
+    this.expectSymbol('(');
+    const columns = [];
+    do {
+      columns.push(this.expectIdentifier('column name'));
+      if (!this.matchKeyword('ASC')) this.matchKeyword('DESC');
+    } while (this.matchSymbol(','));
+    this.expectSymbol(')');
+    return columns;
+  }
+
+  /**
+   * Parse CREATE [UNIQUE] INDEX [IF NOT EXISTS] name ON table (columns)
+   * @private
+   * @returns {object} createIndex node
+   */
+  parseCreateIndex() {
+    this.expectKeyword('CREATE');
+    const unique = this.matchKeyword('UNIQUE');
+    this.expectKeyword('INDEX');
+
+    let ifNotExists = false;
+    if (this.matchKeyword('IF')) {
+      this.expectKeyword('NOT');
+      this.expectKeyword('EXISTS');
+      ifNotExists = true;
+    }
+
+    const name = this.expectIdentifier('index name');
+    this.expectKeyword('ON');
+    const table = this.expectIdentifier('table name');
+
+    // 列ごとの ASC / DESC は受け付けるが、インデックスの並び順には影響しない
+    const columns = this.parseIndexedColumns();
+
+    return { type: 'createIndex', name: name, table: table, columns: columns, unique: unique, ifNotExists: ifNotExists };
+  }
+
+  /**
+   * Parse DROP INDEX [IF EXISTS] name
+   * @private
+   * @returns {object} dropIndex node
+   */
+  parseDropIndex() {
+    this.expectKeyword('DROP');
+    this.expectKeyword('INDEX');
+
+    let ifExists = false;
+    if (this.matchKeyword('IF')) {
+      this.expectKeyword('EXISTS');
+      ifExists = true;
+    }
+
+    return { type: 'dropIndex', name: this.expectIdentifier('index name'), ifExists: ifExists };
+  }
+
+  /**
+   * Parse a column definition: name followed by its type and constraints.
+   * Unknown constraint clauses are skipped.
+   * @private
+   * @returns {object} { name, definition, type, primaryKey, autoincrement, notNull, unique, default, check, references }
+   */
+  parseColumnDefinition() {
+    const column = {
+      name: this.expectIdentifier('column name'),
+      definition: '',
+      type: '',
+      primaryKey: false,
+      autoincrement: false,
+      notNull: false,
+      unique: false,
+      default: null,
+      check: null,
+      references: null
+    };
+    const startIndex = this.index;
+    column.type = this.parseTypeName();
+
+    while (this.peek().type !== 'eof' && !this.isSymbol(',') && !this.isSymbol(')')) {
+      if (this.matchKeyword('CONSTRAINT')) {
+        this.expectIdentifier('constraint name');
+      } else if (this.matchKeyword('PRIMARY')) {
+        this.expectKeyword('KEY');
+        if (!this.matchKeyword('ASC')) this.matchKeyword('DESC');
+        column.primaryKey = true;
+        column.autoincrement = this.matchKeyword('AUTOINCREMENT');
+      } else if (this.matchKeyword('NOT')) {
+        this.expectKeyword('NULL');
+        column.notNull = true;
+      } else if (this.matchKeyword('NULL')) {
+        // NULL を許可（デフォルトの動作）
+      } else if (this.matchKeyword('UNIQUE')) {
+        column.unique = true;
+      } else if (this.matchKeyword('DEFAULT')) {
+        column.default = this.parseConstraintExpression(() => this.parsePrimary(), 'DEFAULT');
+      } else if (this.matchKeyword('CHECK')) {
+        column.check = this.parseCheckConstraint();
+      } else if (this.matchKeyword('REFERENCES')) {
+        column.references = this.parseReferences();
+      } else if (this.isSymbol('(')) {
+        this.skipParenthesized();
+      } else {
+        this.next();
+      }
+    }
+
+    if (this.index > startIndex) {
+      column.definition = this.sql.slice(this.tokens[startIndex].position, this.previous().end).replace(/\s+/g, ' ');
+    }
+    return column;
+  }
+
+  /**
+   * Parse a type name such as INTEGER, VARCHAR(255) or DOUBLE PRECISION
+   * @private
+   * @returns {string} The type name ('' if there is none)
+   */
+  parseTypeName() {
+    const typeStart = this.index;
+    while (this.peek().type === 'identifier' && !this.peek().quoted && !this.isColumnConstraint()) {
+      this.next();
+    }
+    if (this.index === typeStart) return '';
+    if (this.isSymbol('(')) {
+      this.skipParenthesized();
+    }
+    return this.sql.slice(this.tokens[typeStart].position, this.previous().end).replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Whether the next token starts a column constraint
+   * @private
+   */
+  isColumnConstraint() {
+    return ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'DEFAULT', 'CHECK', 'REFERENCES', 'COLLATE']
+      .some(keyword => this.isKeyword(keyword));
+  }
+
+  /**
+   * Parse CHECK's parenthesized expression
+   * @private
+   * @returns {string} The expression text
+   */
+  parseCheckConstraint() {
+    this.expectSymbol('(');
+    const text = this.parseConstraintExpression(() => this.parseExpression(), 'CHECK');
+    this.expectSymbol(')');
+    return text;
+  }
+
+  /**
+   * Parse an expression stored with the schema and return its source text.
+   * Parameters are rejected since there is nothing to bind them to later.
+   * @private
+   * @param {function} parse - Parses the expression
+   * @param {string} clause - DEFAULT or CHECK, for error messages
+   * @returns {string} The expression text
+   */
+  parseConstraintExpression(parse, clause) {
+    const start = this.peek();
+    const parameterCount = this.parameterCount;
+    const parameterNames = this.parameterNames.length;
+    parse();
+    if (this.parameterCount !== parameterCount || this.parameterNames.length !== parameterNames) {
+      throw new SQLSyntaxError(`Parameters are not allowed in ${clause}`, start);
+    }
+    return this.sql.slice(start.position, this.previous().end);
+  }
+
+  /**
+   * Skip a balanced parenthesized token sequence
+   * @private
+   */
+  skipParenthesized() {
+    let depth = 0;
+    do {
+      if (this.isSymbol('(')) depth++;
+      if (this.isSymbol(')')) depth--;
+      if (this.peek().type === 'eof') throw this.error('Expected ")"');
+      this.next();
+    } while (depth > 0);
+  }
+
+  /**
+   * Parse BEGIN, COMMIT / END, ROLLBACK [TO savepoint], SAVEPOINT and RELEASE
+   * @private
+   * @returns {object} Transaction control node
+   */
+  parseTransactionControl() {
+    const keyword = this.next().text.toUpperCase();
+
+    switch (keyword) {
+      case 'BEGIN':
+        if (this.isKeyword('DEFERRED') || this.isKeyword('IMMEDIATE') || this.isKeyword('EXCLUSIVE')) {
+          this.next();
+        }
+        this.matchKeyword('TRANSACTION');
+        return { type: 'begin' };
+
+      case 'COMMIT':
+      case 'END':
+        this.matchKeyword('TRANSACTION');
+        return { type: 'commit' };
+
+      case 'ROLLBACK': {
+        this.matchKeyword('TRANSACTION');
+        let savepoint = null;
+        if (this.matchKeyword('TO')) {
+          this.matchKeyword('SAVEPOINT');
+          savepoint = this.expectIdentifier('savepoint name');
+        }
+        return { type: 'rollback', savepoint: savepoint };
+      }
+
+      case 'SAVEPOINT':
+        return { type: 'savepoint', name: this.expectIdentifier('savepoint name') };
+
+      default:
+        this.matchKeyword('SAVEPOINT');
+        return { type: 'release', name: this.expectIdentifier('savepoint name') };
+    }
+  }
+
+  /**
+   * @private
+   */
+  parseIdentifierList(what) {
+    const names = [];
+    do {
+      names.push(this.expectIdentifier(what));
+    } while (this.matchSymbol(','));
+    return names;
+  }
+
+  /**
+   * @private
+   */
+  parseExpressionList() {
+    const expressions = [];
+    do {
+      expressions.push(this.parseExpression());
+    } while (this.matchSymbol(','));
+    return expressions;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 式 (優先順位の低い順: OR, AND, NOT, 比較・述語, + -, * / %, ||, 単項演算子, 基本式)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse an expression
+   * @private
+   * @returns {object} Expression node
+   */
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  /**
+   * @private
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.matchKeyword('OR')) {
+      left = { type: 'logical', operator: 'OR', left: left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.matchKeyword('AND')) {
+      left = { type: 'logical', operator: 'AND', left: left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  /**
+   * Parse prefix NOT (binds tighter than AND, looser than comparisons)
+   * @private
+   */
+  parseNot() {
+    // NOT EXISTS はparsePrimaryで処理する
+    if (this.isKeyword('NOT') && !this.isKeyword('EXISTS', 1)) {
+      this.next();
+      return { type: 'not', expr: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  /**
+   * Parse comparisons and LIKE / IN / BETWEEN / IS NULL predicates
+   * @private
+   */
+  parsePredicate() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'symbol' && ['=', '==', '!=', '<>', '<', '>', '<=', '>='].includes(token.value)) {
+      this.next();
+      const operator = token.value === '==' ? '=' : token.value === '<>' ? '!=' : token.value;
+      return { type: 'comparison', operator: operator, left: left, right: this.parseAdditive() };
+    }
+
+    if (this.matchKeyword('IS')) {
+      const not = this.matchKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { type: 'isNull', not: not, expr: left };
+    }
+
+    const not = this.isKeyword('NOT') &&
+      (this.isKeyword('LIKE', 1) || this.isKeyword('IN', 1) || this.isKeyword('BETWEEN', 1));
+    if (not) this.next();
+
+    if (this.matchKeyword('LIKE')) {
+      return { type: 'like', not: not, expr: left, pattern: this.parseAdditive() };
+    }
+
+    if (this.matchKeyword('IN')) {
+      this.expectSymbol('(');
+      let node;
+      if (this.isQueryStart()) {
+        node = { type: 'in', not: not, expr: left, values: null, query: this.parseQuery() };
+      } else {
+        node = { type: 'in', not: not, expr: left, values: this.parseExpressionList(), query: null };
+      }
+      this.expectSymbol(')');
+      return node;
+    }
+
+    if (this.matchKeyword('BETWEEN')) {
+      const low = this.parseAdditive();
+      this.expectKeyword('AND');
+      const high = this.parseAdditive();
+      return { type: 'between', not: not, expr: left, low: low, high: high };
+    }
+
+    return left;
+  }
+
+  /**
+   * Parse + and - (lower precedence than * / %)
+   * @private
+   */
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isSymbol('+') || this.isSymbol('-')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator: operator, left: left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  /**
+   * Parse *, / and %
+   * @private
+   */
+  parseMultiplicative() {
+    let left = this.parseConcat();
+    while (this.isSymbol('*') || this.isSymbol('/') || this.isSymbol('%')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator: operator, left: left, right: this.parseConcat() };
+    }
+    return left;
+  }
+
+  /**
+   * Parse the || string concatenation operator (binds tightest, as in SQLite)
+   * @private
+   */
+  parseConcat() {
+    let left = this.parseUnary();
+    while (this.matchSymbol('||')) {
+      left = { type: 'binary', operator: '||', left: left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  /**
+   * Parse unary + and -
+   * @private
+   */
+  parseUnary() {
+    // 数値リテラルの符号はparsePrimaryで処理する
+    if ((this.isSymbol('-') || this.isSymbol('+')) && this.peek(1).type !== 'number') {
+      const operator = this.next().value;
+      return { type: 'unary', operator: operator, expr: this.parseUnary() };
+    }
+    if (this.isSymbol('+')) {
+      this.next();
+    }
+    return this.parsePrimary();
+  }
+
+  /**
+   * Parse CASE [expr] WHEN ... THEN ... [ELSE ...] END
+   * @private
+   * @returns {object} case node
+   */
+  parseCase() {
+    this.expectKeyword('CASE');
+    const base = this.isKeyword('WHEN') ? null : this.parseExpression();
+    const whens = [];
+
+    while (this.matchKeyword('WHEN')) {
+      const when = this.parseExpression();
+      this.expectKeyword('THEN');
+      whens.push({ when: when, then: this.parseExpression() });
+    }
+    if (whens.length === 0) {
+      throw this.error('Expected WHEN');
+    }
+
+    const otherwise = this.matchKeyword('ELSE') ? this.parseExpression() : null;
+    this.expectKeyword('END');
+    return { type: 'case', base: base, whens: whens, else: otherwise };
+  }
+
+  /**
+   * Parse literals, column references, function calls, subqueries,
+   * CASE, EXISTS and parenthesised expressions
+   * @private
+   */
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.next();
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'parameter') {
+      return this.parseParameter();
+    }
+
+    // 負の数値リテラル
+    if (this.isSymbol('-') && this.peek(1).type === 'number') {
+      this.next();
+      return { type: 'literal', value: -this.next().value };
+    }
+
+    if (this.matchKeyword('NULL')) return { type: 'literal', value: null };
+    if (this.matchKeyword('TRUE')) return { type: 'literal', value: true };
+    if (this.matchKeyword('FALSE')) return { type: 'literal', value: false };
+
+    if (this.isKeyword('NOT') && this.isKeyword('EXISTS', 1)) {
+      this.next();
+      return this.parseExists(true);
+    }
+    if (this.isKeyword('EXISTS')) {
+      return this.parseExists(false);
+    }
+    if (this.isKeyword('CASE')) {
+      return this.parseCase();
+    }
+
+    if (this.matchSymbol('(')) {
+      if (this.isQueryStart()) {
+        const query = this.parseQuery();
+        this.expectSymbol(')');
+        return { type: 'subquery', query: query };
+      }
+      const expr = this.parseExpression();
+      this.expectSymbol(')');
+      return expr;
+    }
+
+    if (token.type === 'identifier') {
+      this.next();
+
+      // 関数呼び出し
+      if (!token.quoted && this.matchSymbol('(')) {
+        const name = token.value.toUpperCase();
+        return name === 'CAST' ? this.parseCast() : this.parseFunctionCall(name);
+      }
+
+      // テーブル名.カラム名
+      if (this.matchSymbol('.')) {
+        const column = this.peek();
+        const name = this.expectIdentifier('column name');
+        return { type: 'column', table: token.value, name: name, quoted: column.quoted };
+      }
+
+      // CURRENT_TIMESTAMP 等は引数なしの関数として扱う
+      const upper = token.value.toUpperCase();
+      if (!token.quoted && ['CURRENT_TIMESTAMP', 'CURRENT_DATE', 'CURRENT_TIME'].includes(upper)) {
+        return { type: 'function', name: upper, args: [], distinct: false, star: false, over: null };
+      }
+
+      return { type: 'column', table: null, name: token.value, quoted: token.quoted };
+    }
+
+    throw this.error('Expected expression');
+  }
+
+  /**
+   * Parse the rest of CAST(expr AS type)
+   * @private
+   * @returns {object} cast node
+   */
+  parseCast() {
+    const expr = this.parseExpression();
+    this.expectKeyword('AS');
+    const typeToken = this.peek();
+    const as = this.parseTypeName();
+    if (!as) {
+      throw this.error('Expected type name', typeToken);
+    }
+    this.expectSymbol(')');
+    return { type: 'cast', expr: expr, as: as };
+  }
+
+  /**
+   * Parse a bound parameter placeholder
+   * @private
+   * @returns {object} parameter node with a 0-based index or a name
+   */
+  parseParameter() {
+    const token = this.next();
+    const { index, name } = token.value;
+
+    if (name !== null) {
+      if (this.parameterCount > 0) {
+        throw new SQLSyntaxError('Cannot mix positional and named parameters', token);
+      }
+      if (!this.parameterNames.includes(name)) {
+        this.parameterNames.push(name);
+      }
+      return { type: 'parameter', index: null, name: name };
+    }
+
+    if (this.parameterNames.length > 0) {
+      throw new SQLSyntaxError('Cannot mix positional and named parameters', token);
+    }
+    if (index === 0) {
+      throw new SQLSyntaxError('Parameter index must be at least 1', token);
+    }
+
+    // ? は直前のパラメータの次の番号、?NNN は指定された番号
+    const position = index === null ? this.parameterCount + 1 : index;
+    this.parameterCount = Math.max(this.parameterCount, position);
+    return { type: 'parameter', index: position - 1, name: null };
+  }
+
+  /**
+   * Parse [NOT] EXISTS (subquery)
+   * @private
+   */
+  parseExists(not) {
+    this.expectKeyword('EXISTS');
+    this.expectSymbol('(');
+    const query = this.parseQuery();
+    this.expectSymbol(')');
+    return { type: 'exists', not: not, query: query };
+  }
+
+  /**
+   * Parse the argument list of a function call (after the opening parenthesis)
+   * @private
+   * @param {string} name - Upper-cased function name
+   */
+  parseFunctionCall(name) {
+    const node = { type: 'function', name: name, args: [], distinct: false, star: false, over: null };
+
+    if (this.matchSymbol('*')) {
+      node.star = true;
+    } else if (!this.isSymbol(')')) {
+      node.distinct = this.matchKeyword('DISTINCT');
+      node.args = this.parseExpressionList();
+    }
+
+    this.expectSymbol(')');
+
+    // ウィンドウ関数
+    if (this.isKeyword('OVER') && this.isSymbol('(', 1)) {
+      this.next();
+      node.over = this.parseWindowSpec();
+    }
+    return node;
+  }
+
+  /**
+   * Parse (PARTITION BY ... ORDER BY ... frame) after OVER
+   * @private
+   * @returns {object} { partitionBy, orderBy, frame }
+   */
+  parseWindowSpec() {
+    this.expectSymbol('(');
+    const window = { partitionBy: [], orderBy: [], frame: null };
+
+    if (this.matchKeyword('PARTITION')) {
+      this.expectKeyword('BY');
+      window.partitionBy = this.parseExpressionList();
+    }
+    if (this.matchKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      window.orderBy = this.parseOrderBy();
+    }
+    if (this.isKeyword('ROWS') || this.isKeyword('RANGE')) {
+      window.frame = this.parseFrameSpec();
+    }
+
+    this.expectSymbol(')');
+    return window;
+  }
+
+  /**
+   * Parse ROWS | RANGE [BETWEEN bound AND bound | bound]
+   * @private
+   * @returns {object} { units, start, end }
+   */
+  parseFrameSpec() {
+    const units = this.next().value.toUpperCase();
+    const token = this.peek();
+    let start;
+    let end;
+
+    if (this.matchKeyword('BETWEEN')) {
+      start = this.parseFrameBound(units);
+      this.expectKeyword('AND');
+      end = this.parseFrameBound(units);
+    } else {
+      // ROWS n PRECEDING は BETWEEN n PRECEDING AND CURRENT ROW の省略形
+      start = this.parseFrameBound(units);
+      end = { type: 'current', offset: null };
+    }
+
+    const order = ['unboundedPreceding', 'preceding', 'current', 'following', 'unboundedFollowing'];
+    if (start.type === 'unboundedFollowing' || end.type === 'unboundedPreceding' ||
+        order.indexOf(start.type) > order.indexOf(end.type)) {
+      throw new SQLSyntaxError('Unsupported frame specification', token);
+    }
+    return { units: units, start: start, end: end };
+  }
+
+  /**
+   * Parse UNBOUNDED PRECEDING | n PRECEDING | CURRENT ROW | n FOLLOWING | UNBOUNDED FOLLOWING
+   * @private
+   * @param {string} units - ROWS or RANGE
+   * @returns {object} { type, offset }
+   */
+  parseFrameBound(units) {
+    if (this.matchKeyword('UNBOUNDED')) {
+      if (this.matchKeyword('PRECEDING')) return { type: 'unboundedPreceding', offset: null };
+      this.expectKeyword('FOLLOWING');
+      return { type: 'unboundedFollowing', offset: null };
+    }
+    if (this.matchKeyword('CURRENT')) {
+      this.expectKeyword('ROW');
+      return { type: 'current', offset: null };
+    }
+
+    const token = this.peek();
+    if (units === 'RANGE') {
+      throw new SQLSyntaxError('RANGE frames only support UNBOUNDED and CURRENT ROW bounds', token);
+    }
+    const offset = this.parseAdditive();
+    if (this.matchKeyword('PRECEDING')) return { type: 'preceding', offset: offset };
+    if (this.matchKeyword('FOLLOWING')) return { type: 'following', offset: offset };
+    throw this.error('Expected PRECEDING or FOLLOWING');
+  }
+}
+
+/**
+ * Storage adapters.
+ *
+ * LocalDB keeps the schema and each table as a JSON string under its own key.
+ * Any object implementing the synchronous Web Storage subset below can be used
+ * as an adapter:
+ *
+ *   getItem(key)        -> string | null
+ *   setItem(key, value) -> void
+ *   removeItem(key)     -> void
+ */
+
+/**
+ * Keeps data in memory only. Useful for tests and temporary databases.
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Stores data in localStorage (default) or another Web Storage object such as sessionStorage.
+ */
+class WebStorage {
+  /**
+   * @param {Storage} storage - Web Storage object (default: localStorage)
+   */
+  constructor(storage) {
+    if (!storage) {
+      if (typeof localStorage === 'undefined') {
+        throw new Error('localStorage is not available in this environment. Pass a storage adapter in options.storage');
+      }
+      storage = localStorage;
+    }
+    this.storage = storage;
+  }
+
+  getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * Stores data in IndexedDB, which is not limited by the localStorage quota and
+ * is available in Web Workers and service workers.
+ *
+ * IndexedDB is asynchronous, so all entries are loaded into memory by open()
+ * and writes are sent to IndexedDB in the background. Use flush() to wait for
+ * them to finish.
+ */
+class IndexedDBStorage {
+  /**
+   * Use IndexedDBStorage.open() instead of calling the constructor directly
+   * @private
+   * @param {IDBDatabase} database - The open IndexedDB database
+   * @param {Map} items - Entries loaded from the object store
+   */
+  constructor(database, items) {
+    this.database = database;
+    this.items = items;
+    this.pending = Promise.resolve();
+    // 失敗した書き込みのエラー（flush() または次の書き込みで報告する）
+    this.error = null;
+  }
+
+  /**
+   * Open (or create) an IndexedDB database and load its entries
+   * @param {string} name - The IndexedDB database name (default: 'localdb')
+   * @returns {Promise<IndexedDBStorage>} The ready-to-use adapter
+   */
+  static open(name = 'localdb') {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(IndexedDBStorage.STORE_NAME);
+      };
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const database = request.result;
+        const items = new Map();
+        const transaction = database.transaction(IndexedDBStorage.STORE_NAME, 'readonly');
+        const cursorRequest = transaction.objectStore(IndexedDBStorage.STORE_NAME).openCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            items.set(cursor.key, cursor.value);
+            cursor.continue();
+          }
+        };
+        transaction.oncomplete = () => resolve(new IndexedDBStorage(database, items));
+        transaction.onerror = () => reject(transaction.error);
+      };
+    });
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    value = String(value);
+    this.write(store => store.put(value, key));
+    this.items.set(key, value);
+  }
+
+  removeItem(key) {
+    this.write(store => store.delete(key));
+    this.items.delete(key);
+  }
+
+  /**
+   * Queue a write so that writes reach IndexedDB in order.
+   * If an earlier write failed, its error is thrown instead.
+   * @private
+   * @param {function} operation - Receives the object store
+   */
+  write(operation) {
+    this.throwError();
+    const run = () => new Promise((resolve, reject) => {
+      const transaction = this.database.transaction(IndexedDBStorage.STORE_NAME, 'readwrite');
+      operation(transaction.objectStore(IndexedDBStorage.STORE_NAME));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    // 失敗はここで受け止めて保存し、後続の書き込みは実行する
+    this.pending = this.pending.then(run).catch(error => {
+      if (!this.error) this.error = error;
+    });
+  }
+
+  /**
+   * Throw the error of a failed write once
+   * @private
+   */
+  throwError() {
+    const error = this.error;
+    if (error) {
+      this.error = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Wait until all queued writes have been stored
+   * @returns {Promise} Resolves when pending writes are complete, or rejects
+   *   with the error of a write that failed
+   */
+  flush() {
+    return this.pending.then(() => this.throwError());
+  }
+}
+
+IndexedDBStorage.STORE_NAME = 'entries';
+
+/**
+ * Stores each key as a file in a directory (Node.js only)
+ */
+class FileStorage {
+  /**
+   * @param {string} directory - Directory to store the files in (created if missing)
+   */
+  constructor(directory) {
+    if (typeof require !== 'function') {
+      throw new Error('FileStorage is only available in Node.js');
+    }
+    this.fs = require('fs');
+    this.path = require('path');
+    this.directory = directory;
+    this.fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * @private
+   */
+  filePath(key) {
+    return this.path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  getItem(key) {
+    try {
+      return this.fs.readFileSync(this.filePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  setItem(key, value) {
+    // 一時ファイルに書いてから置き換え、書き込み途中のファイルが残らないようにする
+    const file = this.filePath(key);
+    this.fs.writeFileSync(`${file}.tmp`, String(value));
+    this.fs.renameSync(`${file}.tmp`, file);
+  }
+
+  removeItem(key) {
+    try {
+      this.fs.unlinkSync(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * Functions evaluated over a group of rows rather than a single row
+ */
+const AGGREGATE_FUNCTIONS = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'GROUP_CONCAT']);
+
+/**
+ * Functions that can only be used with OVER (...). Aggregate functions can
+ * be used with OVER as well.
+ */
+const WINDOW_FUNCTIONS = new Set([
+  'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'NTILE', 'LAG', 'LEAD', 'FIRST_VALUE', 'LAST_VALUE'
+]);
+
+/**
+ * Row property holding the rowid of tables without an INTEGER PRIMARY KEY.
+ * It is not returned by SELECT *.
+ */
+const ROWID_KEY = '_rowid_';
+
+/**
+ * Names that refer to the rowid when the table has no column of that name
+ */
+const ROWID_ALIASES = ['rowid', 'oid', '_rowid_'];
+
+/**
+ * Largest number of rows a recursive common table expression may produce
+ * before the query fails (recursion that never ends would otherwise fill memory)
+ */
+const MAX_RECURSIVE_ROWS = 1000000;
+
+/**
+ * Text that converts to a number when stored in a numeric column
+ */
+const NUMERIC_TEXT = /^\s*[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+/**
+ * Date and time values in SQLite's formats.
+ *
+ * Times are handled as milliseconds since the Unix epoch (UTC). Text is
+ * YYYY-MM-DD, YYYY-MM-DD HH:MM[:SS[.SSS]] (T may replace the space, and a Z
+ * or ±HH:MM suffix is allowed), HH:MM[:SS[.SSS]] or 'now'. Numbers are
+ * Julian day numbers.
+ */
+class TimeValue {
+  /**
+   * Parse a time value
+   * @param {*} value - Text, a Julian day number or a Date
+   * @returns {number|null} Milliseconds since the epoch, or null if invalid
+   */
+  static parse(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value.getTime();
+    }
+    if (typeof value === 'number') {
+      return TimeValue.fromJulianDay(value);
+    }
+    if (typeof value !== 'string') return null;
+    if (value.trim().toLowerCase() === 'now') return Date.now();
+    if (NUMERIC_TEXT.test(value)) return TimeValue.fromJulianDay(Number(value));
+    return TimeValue.parseText(value);
+  }
+
+  /**
+   * Parse date / time text (not 'now' or numbers)
+   * @param {string} text - The text
+   * @returns {number|null} Milliseconds since the epoch, or null if invalid
+   */
+  static parseText(text) {
+    const trimmed = text.trim();
+    let date = [2000, 1, 1];
+    let clock;
+    let zone;
+
+    // 時刻だけの場合は 2000-01-01 の時刻とする
+    let match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]+(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|[+-]\d{2}:\d{2})?$/i.exec(trimmed);
+    if (match) {
+      date = match.slice(1, 4).map(Number);
+      clock = match.slice(4, 8);
+      zone = match[8];
+    } else {
+      match = /^(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:\d{2})?$/i.exec(trimmed);
+      if (!match) return null;
+      clock = match.slice(1, 5);
+      zone = match[5];
+    }
+
+    const [year, month, day] = date;
+    const [hour, minute, second] = clock.slice(0, 3).map(part => (part === undefined ? 0 : Number(part)));
+    const millis = clock[3] ? Math.round(Number(clock[3]) * 1000) : 0;
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 24 || minute > 59 || second > 59) {
+      return null;
+    }
+
+    let ms = TimeValue.utc(year, month - 1, day, hour, minute, second, millis);
+    if (zone && zone.toUpperCase() !== 'Z') {
+      const offset = (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4, 6))) * 60000;
+      ms -= zone[0] === '+' ? offset : -offset;
+    }
+    return ms;
+  }
+
+  /**
+   * Date.UTC that also handles years 0-99 literally
+   * @private
+   */
+  static utc(year, month, day, hour = 0, minute = 0, second = 0, ms = 0) {
+    const date = new Date(Date.UTC(year, month, day, hour, minute, second, ms));
+    // Date.UTC は 0～99 年を 1900～1999 年とみなす
+    if (year >= 0 && year < 100) {
+      date.setUTCFullYear(date.getUTCFullYear() - 1900);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * @private
+   */
+  static fromJulianDay(day) {
+    return isFinite(day) ? Math.round((day - 2440587.5) * 86400000) : null;
+  }
+
+  /**
+   * @param {number} ms - Milliseconds since the epoch
+   * @returns {number} The Julian day number
+   */
+  static toJulianDay(ms) {
+    return ms / 86400000 + 2440587.5;
+  }
+
+  /**
+   * Apply a modifier such as '+7 days', 'start of month', 'weekday 0',
+   * 'localtime' or 'utc'
+   * @param {number} ms - Milliseconds since the epoch
+   * @param {string} modifier - The modifier
+   * @returns {number|null} The new time, or null if the modifier is invalid
+   */
+  static applyModifier(ms, modifier) {
+    const text = String(modifier).trim().toLowerCase().replace(/\s+/g, ' ');
+    const date = new Date(ms);
+    const fields = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+    const time = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()];
+
+    let match = /^([+-]?(?:\d+(?:\.\d*)?|\.\d+)) (day|hour|minute|second|month|year)s?$/.exec(text);
+    if (match) {
+      const amount = Number(match[1]);
+      const units = { day: 86400000, hour: 3600000, minute: 60000, second: 1000 };
+      if (units[match[2]]) {
+        return ms + Math.round(amount * units[match[2]]);
+      }
+      // 月・年の加算で存在しない日になった場合は翌月に繰り越す（SQLiteと同じ）
+      if (!Number.isInteger(amount)) return null;
+      const months = match[2] === 'month' ? amount : amount * 12;
+      return TimeValue.utc(fields[0], fields[1] + months, fields[2], ...time);
+    }
+
+    switch (text) {
+      case 'start of day':
+        return TimeValue.utc(...fields);
+      case 'start of month':
+        return TimeValue.utc(fields[0], fields[1], 1);
+      case 'start of year':
+        return TimeValue.utc(fields[0], 0, 1);
+      case 'localtime':
+        return ms - date.getTimezoneOffset() * 60000;
+      case 'utc':
+        return ms + date.getTimezoneOffset() * 60000;
+    }
+
+    match = /^weekday ([0-6])$/.exec(text);
+    if (match) {
+      // 指定した曜日（0 = 日曜）の当日か次の日に進める
+      const days = (Number(match[1]) - date.getUTCDay() + 7) % 7;
+      return ms + days * 86400000;
+    }
+
+    return null;
+  }
+
+  /**
+   * Format a time as strftime() does. Supported: %d %f %H %j %J %m %M %s %S %w %W %Y %%
+   * @param {number} ms - Milliseconds since the epoch
+   * @param {string} format - The format
+   * @returns {string|null} The formatted text, or null for an unknown specifier
+   */
+  static format(ms, format) {
+    const date = new Date(ms);
+    const year = date.getUTCFullYear();
+    if (year < 0 || year > 9999) return null;
+
+    const pad = (value, width) => String(value).padStart(width, '0');
+    const dayOfYear = Math.floor((ms - TimeValue.utc(year, 0, 1)) / 86400000);
+    let invalid = false;
+
+    const text = String(format).replace(/%(.)/g, (all, spec) => {
+      switch (spec) {
+        case 'd': return pad(date.getUTCDate(), 2);
+        case 'f': return pad(date.getUTCSeconds(), 2) + '.' + pad(date.getUTCMilliseconds(), 3);
+        case 'H': return pad(date.getUTCHours(), 2);
+        case 'j': return pad(dayOfYear + 1, 3);
+        case 'J': return String(TimeValue.toJulianDay(ms));
+        case 'm': return pad(date.getUTCMonth() + 1, 2);
+        case 'M': return pad(date.getUTCMinutes(), 2);
+        case 's': return String(Math.floor(ms / 1000));
+        case 'S': return pad(date.getUTCSeconds(), 2);
+        case 'w': return String(date.getUTCDay());
+        // 月曜始まりの週番号（最初の月曜より前は00）
+        case 'W': return pad(Math.floor((dayOfYear + 7 - ((date.getUTCDay() + 6) % 7)) / 7), 2);
+        case 'Y': return pad(year, 4);
+        case '%': return '%';
+        default:
+          invalid = true;
+          return all;
+      }
+    });
+    return invalid ? null : text;
+  }
+
+  /**
+   * Text stored in a DATE (YYYY-MM-DD) or DATETIME (YYYY-MM-DD HH:MM:SS[.SSS]) column
+   * @param {number} ms - Milliseconds since the epoch
+   * @param {string} affinity - DATE or DATETIME
+   * @returns {string|null} The text, or null if the year is out of range
+   */
+  static toText(ms, affinity) {
+    if (affinity === 'DATE') return TimeValue.format(ms, '%Y-%m-%d');
+    const text = TimeValue.format(ms, '%Y-%m-%d %H:%M:%S');
+    const millis = new Date(ms).getUTCMilliseconds();
+    return text !== null && millis !== 0 ? `${text}.${String(millis).padStart(3, '0')}` : text;
+  }
+}
+
+/**
+ * A parsed SQL statement that can be executed repeatedly with bound parameters.
+ * Created by LocalDB#prepare().
+ */
+class PreparedStatement {
+  /**
+   * @param {LocalDB} db - The database to run against
+   * @param {string} sql - The SQL text
+   */
+  constructor(db, sql) {
+    this.db = db;
+    this.sql = sql;
+    this.parser = new SQLParser(sql);
+    this.statement = this.parser.parseStatement();
+    this.reader = this.statement.type === 'select' || this.statement.type === 'compound';
+  }
+
+  /**
+   * Execute the statement
+   * @param {array|object} params - Values for the placeholders
+   * @returns {*} Array for SELECT, result object for other statements
+   */
+  run(params) {
+    try {
+      return this.db.executeStatement(this.statement, this.db.bindParameters(params, this.parser));
+    } catch (error) {
+      // Re-throw the error so it can be caught by the caller
+      throw this.db.queryError(error);
+    }
+  }
+
+  /**
+   * Execute a SELECT and return all rows
+   * @param {array|object} params - Values for the placeholders
+   * @returns {array} Result rows
+   */
+  all(params) {
+    if (!this.reader) {
+      throw new Error('all() can only be used with SELECT statements');
+    }
+    return this.run(params);
+  }
+
+  /**
+   * Execute a SELECT and return the first row
+   * @param {array|object} params - Values for the placeholders
+   * @returns {object|undefined} The first row, or undefined if there are none
+   */
+  get(params) {
+    if (!this.reader) {
+      throw new Error('get() can only be used with SELECT statements');
+    }
+    return this.run(params)[0];
+  }
+}
+
+class LocalDB {
+  /**
+   * Create a new LocalDB instance
+   * @param {string} dbName - The name of the database (default: 'localDB')
+   * @param {object} options - Options
+   * @param {object} options.storage - Storage adapter (default: localStorage)
+   * @param {boolean} options.foreignKeys - Enforce FOREIGN KEY constraints (default: false)
+   */
+  constructor(dbName = 'localDB', options = {}) {
+    const storage = options.storage || new WebStorage();
+    if (!['getItem', 'setItem', 'removeItem'].every(method => typeof storage[method] === 'function')) {
+      throw new Error('Storage adapter must implement getItem, setItem and removeItem');
+    }
+
+    this.dbName = dbName;
+    this.dbKey = `${dbName}_schema`;
+    this.versionKey = `${this.dbKey}:user_version`;
+    this.storage = storage;
+    this.tables = this.loadSchema();
+    // スキーマのバージョン（PRAGMA user_version / migrate() で使用）
+    this.userVersion = Number(this.storage.getItem(this.versionKey)) || 0;
+    // 実行中のトランザクション（なければnull）
+    this.transactionState = null;
+    // コミット済みテーブルデータのキャッシュ（テーブル名 → { text: 保存された文字列, rows: 行配列, checked }）
+    this.tableCache = new Map();
+    // 実行した文の数（キャッシュとストレージの照合は文ごとに1回だけ行う）
+    this.statementCount = 0;
+    // 構築済みインデックス（テーブル名 → Map(インデックス名 → インデックス)）
+    this.indexCache = new Map();
+    // 解析済みの DEFAULT / CHECK 式（式のテキスト → AST）
+    this.expressionCache = new Map();
+    // 外部キー制約を検査するか（PRAGMA foreign_keys で切り替え）
+    this.foreignKeys = options.foreignKeys === true;
+    // registerFunction() で登録された関数（大文字の関数名 → 定義）
+    this.functions = new Map();
+    // registerAggregate() で登録された集約関数（大文字の関数名 → 定義）
+    this.aggregates = new Map();
+    // on('change') で登録されたリスナー
+    this.changeListeners = new Set();
+    // liveQuery() で購読中のクエリ
+    this.liveQueries = new Set();
+    // 他のタブが同じWeb Storageに書き込んだらキャッシュを捨てる
+    if (storage instanceof WebStorage && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('storage', event => {
+        if (event.storageArea === storage.storage) this.dropCache(event.key);
+      });
+    }
+  }
+
+  /**
+   * Whether a transaction is currently open
+   * @returns {boolean}
+   */
+  get inTransaction() {
+    return this.transactionState !== null;
+  }
+
+  /**
+   * Convert a date / time value read from the database (DATE / DATETIME
+   * text or a Julian day number) to a Date
+   * @param {*} value - The value
+   * @returns {Date|null} The Date, or null if the value is NULL or not a time
+   */
+  static toDate(value) {
+    const ms = value === null || value === undefined ? null : TimeValue.parse(value);
+    return ms === null ? null : new Date(ms);
+  }
+
+  /**
+   * Load schema from storage
+   * @private
+   * @returns {object} The schema object
+   */
+  loadSchema() {
+    const schema = this.storage.getItem(this.dbKey);
+    const tables = this.copyTables(schema ? JSON.parse(schema) : {});
+    const legacy = [];
+    // 以前の形式では主キーを単一のカラム名（またはnull）で保存していた
+    Object.keys(tables).forEach(tableName => {
+      const table = tables[tableName];
+      if (!Array.isArray(table.primaryKey)) {
+        table.primaryKey = table.primaryKey ? [table.primaryKey] : [];
+      }
+      // 制約のない以前のスキーマには項目がない
+      table.notNull = table.notNull || [];
+      table.defaults = table.defaults || {};
+      table.unique = table.unique || [];
+      table.checks = table.checks || [];
+      table.foreignKeys = table.foreignKeys || [];
+      // 型名がない場合はカラム定義から取り出す（解析できない定義は型なしとする）
+      if (!table.types) {
+        table.types = {};
+        Object.keys(table.columns).forEach(col => {
+          try {
+            table.types[col] = new SQLParser(`${this.sqlIdentifier(col)} ${table.columns[col]}`).parseColumnDefinition().type;
+          } catch (error) {
+            table.types[col] = '';
+          }
+        });
+        legacy.push(tableName);
+      }
+    });
+
+    // 型のない形式で保存された行は一度だけ変換し、スキーマとともに書き戻す
+    if (legacy.length > 0) {
+      legacy.forEach(tableName => this.upgradeLegacyRows(tableName, tables[tableName]));
+      this.storage.setItem(this.dbKey, JSON.stringify(tables));
+    }
+    return tables;
+  }
+
+  /**
+   * Convert rows stored before column types were applied: NULL, TRUE and
+   * FALSE were saved as text and quoted numbers as strings. Text columns
+   * keep their text, since 'NULL' there may be a real value. Values that do
+   * not fit the column type are kept as they are. Tables without an INTEGER
+   * PRIMARY KEY also get the hidden rowid, numbered in stored order.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} table - The table's schema
+   */
+  upgradeLegacyRows(tableName, table) {
+    const key = this.getTableKey(tableName);
+    const data = this.storage.getItem(key);
+    if (!data) return;
+
+    const rowidColumn = this.rowidColumn(tableName, table);
+    let rowid = 0;
+    const rows = JSON.parse(data).map(row => {
+      const converted = {};
+      if (rowidColumn === ROWID_KEY) {
+        converted[ROWID_KEY] = ++rowid;
+      }
+      Object.keys(row).forEach(col => {
+        const affinity = this.typeAffinity(table.types[col]);
+        let value = row[col];
+        // 以前の形式ではキーワードを書かれたとおりの文字列で保存していた
+        if (typeof value === 'string' && affinity !== 'TEXT') {
+          if (value === 'NULL' || value === 'null') {
+            value = null;
+          } else if (/^(true|false)$/i.test(value)) {
+            value = value.toLowerCase() === 'true';
+          }
+        }
+        const stored = this.convertValue(value, affinity);
+        converted[col] = stored === undefined ? value : stored;
+      });
+      return converted;
+    });
+    this.storage.setItem(key, JSON.stringify(rows));
+  }
+
+  /**
+   * Deep-copy a schema map into an object without a prototype, so table
+   * names such as "constructor" are looked up like any other name
+   * @private
+   * @param {object} tables - The schema map
+   * @returns {object} The copy
+   */
+  copyTables(tables) {
+    return Object.assign(Object.create(null), JSON.parse(JSON.stringify(tables)));
+  }
+
+  /**
+   * Save schema to storage
+   * @private
+   */
+  saveSchema() {
+    // トランザクション中はCOMMITまで書き込まない
+    if (this.transactionState) return;
+    this.storage.setItem(this.dbKey, JSON.stringify(this.tables));
+  }
+
+  /**
+   * Get the storage key for a table
+   * @private
+   * @param {string} tableName - The name of the table
+   * @returns {string} The storage key
+   */
+  getTableKey(tableName) {
+    return `${this.dbName}_${tableName}`;
+  }
+
+  /**
+   * Get table data from storage
+   * @private
+   * @param {string} tableName - The name of the table
+   * @returns {array} The table data
+   */
+  getTableData(tableName) {
+    if (this.transactionState && this.transactionState.pending.has(tableName)) {
+      const pending = this.transactionState.pending.get(tableName);
+      return pending ? pending.slice() : [];
+    }
+    return this.committedRows(tableName).slice();
+  }
+
+  /**
+   * Get the committed rows of a table from the cache. Once per statement the
+   * cache is compared with storage: if the stored text changed since it was
+   * read (another instance on the same storage, such as another tab, wrote
+   * it), the rows are read again and the indexes rebuilt.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @returns {array} The cached rows (do not modify)
+   */
+  committedRows(tableName) {
+    let cached = this.tableCache.get(tableName);
+    if (cached && cached.checked === this.statementCount) {
+      return cached.rows;
+    }
+    const text = this.storage.getItem(this.getTableKey(tableName));
+    if (!cached || cached.text !== text) {
+      this.indexCache.delete(tableName);
+      cached = { text: text, rows: text ? JSON.parse(text) : [] };
+      this.tableCache.set(tableName, cached);
+    }
+    cached.checked = this.statementCount;
+    return cached.rows;
+  }
+
+  /**
+   * Forget cached table data and indexes after another instance changed storage
+   * @private
+   * @param {string|null} key - The changed storage key (null: storage was cleared)
+   */
+  dropCache(key) {
+    Array.from(this.tableCache.keys()).forEach(tableName => {
+      if (key === null || key === this.getTableKey(tableName)) {
+        this.tableCache.delete(tableName);
+        this.indexCache.delete(tableName);
+      }
+    });
+  }
+
+  /**
+   * Save table data to storage.
+   * When the rows added and removed are given, unique indexes are checked and
+   * built indexes are updated in place; otherwise they are rebuilt on next use.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {array} data - The table data
+   * @param {object} changes - { added, removed } row objects (optional)
+   */
+  saveTableData(tableName, data, changes = null) {
+    if (changes) {
+      this.checkUniqueIndexes(tableName, changes);
+    }
+    this.updateIndexes(tableName, changes);
+    this.writeTableData(tableName, data);
+  }
+
+  /**
+   * Write table data whose indexes are already up to date
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {array} data - The table data
+   */
+  writeTableData(tableName, data) {
+    // トランザクション中は変更をメモリ上に保持する
+    if (this.transactionState) {
+      this.transactionState.pending.set(tableName, data);
+      return;
+    }
+    const text = JSON.stringify(data);
+    try {
+      this.storage.setItem(this.getTableKey(tableName), text);
+    } catch (error) {
+      // 書き込めなかった変更がインデックスに残らないようにする
+      this.indexCache.delete(tableName);
+      throw error;
+    }
+    this.tableCache.set(tableName, { text: text, rows: data, checked: this.statementCount });
+  }
+
+  /**
+   * Remove a table's data from storage (after DROP TABLE or a rename)
+   * @private
+   * @param {string} tableName - The name of the table
+   */
+  removeTableData(tableName) {
+    this.indexCache.delete(tableName);
+    // トランザクション中はnullを置き、COMMIT時にキーを削除する
+    if (this.transactionState) {
+      this.transactionState.pending.set(tableName, null);
+      return;
+    }
+    this.storage.removeItem(this.getTableKey(tableName));
+    this.tableCache.delete(tableName);
+  }
+
+  /**
+   * Start a transaction
+   * @private
+   */
+  beginTransaction() {
+    if (this.transactionState) {
+      throw new Error('Cannot start a transaction within a transaction');
+    }
+    this.transactionState = {
+      tables: this.copyTables(this.tables),
+      userVersion: this.userVersion,
+      pending: new Map(),
+      // COMMIT時に通知する変更
+      changes: [],
+      savepoints: [],
+      // SAVEPOINTで暗黙に開始した場合、最後のRELEASEでコミットする
+      implicit: false
+    };
+  }
+
+  /**
+   * Write all pending changes to storage and end the transaction.
+   * If a write fails, keys already written are restored.
+   * @private
+   */
+  commitTransaction() {
+    const state = this.transactionState;
+    if (!state) {
+      throw new Error('Cannot commit - no transaction is active');
+    }
+
+    const writes = [[this.dbKey, JSON.stringify(this.tables)]];
+    if (this.userVersion !== state.userVersion) {
+      writes.push([this.versionKey, String(this.userVersion)]);
+    }
+    const texts = new Map();
+    state.pending.forEach((data, tableName) => {
+      texts.set(tableName, data ? JSON.stringify(data) : null);
+      writes.push([this.getTableKey(tableName), texts.get(tableName)]);
+    });
+
+    // 値がnullのキーは削除する（削除・名前変更されたテーブル）
+    const write = (key, value) => {
+      if (value === null) {
+        this.storage.removeItem(key);
+      } else {
+        this.storage.setItem(key, value);
+      }
+    };
+    const previous = writes.map(([key]) => [key, this.storage.getItem(key)]);
+    try {
+      writes.forEach(([key, value]) => write(key, value));
+    } catch (error) {
+      previous.forEach(([key, value]) => write(key, value));
+      throw new Error(`Commit failed: ${error.message}`);
+    }
+
+    state.pending.forEach((data, tableName) => {
+      if (data) {
+        this.tableCache.set(tableName, { text: texts.get(tableName), rows: data, checked: this.statementCount });
+      } else {
+        this.tableCache.delete(tableName);
+      }
+    });
+    this.transactionState = null;
+    this.emitChanges(state.changes);
+  }
+
+  /**
+   * Discard all pending changes and end the transaction
+   * @private
+   */
+  rollbackTransaction() {
+    if (!this.transactionState) {
+      throw new Error('Cannot rollback - no transaction is active');
+    }
+    this.tables = this.transactionState.tables;
+    this.userVersion = this.transactionState.userVersion;
+    this.transactionState = null;
+    this.indexCache.clear();
+  }
+
+  /**
+   * Create a savepoint, starting a transaction if none is open
+   * @private
+   * @param {string} name - The savepoint name
+   */
+  createSavepoint(name) {
+    if (!this.transactionState) {
+      this.beginTransaction();
+      this.transactionState.implicit = true;
+    }
+    const state = this.transactionState;
+    state.savepoints.push({
+      name: name,
+      tables: this.copyTables(this.tables),
+      userVersion: this.userVersion,
+      pending: new Map(state.pending),
+      changes: state.changes.length
+    });
+  }
+
+  /**
+   * Find the most recent savepoint with the given name
+   * @private
+   * @param {string} name - The savepoint name
+   * @returns {number} Index in the savepoint stack
+   */
+  findSavepoint(name) {
+    const savepoints = this.transactionState ? this.transactionState.savepoints : [];
+    for (let i = savepoints.length - 1; i >= 0; i--) {
+      if (savepoints[i].name.toLowerCase() === name.toLowerCase()) return i;
+    }
+    throw new Error(`No such savepoint: ${name}`);
+  }
+
+  /**
+   * Release a savepoint and every savepoint created after it
+   * @private
+   * @param {string} name - The savepoint name
+   */
+  releaseSavepoint(name) {
+    const state = this.transactionState;
+    const index = this.findSavepoint(name);
+    state.savepoints.length = index;
+
+    if (index === 0 && state.implicit) {
+      this.commitTransaction();
+    }
+  }
+
+  /**
+   * Undo changes made after a savepoint. The savepoint itself stays active.
+   * @private
+   * @param {string} name - The savepoint name
+   */
+  rollbackToSavepoint(name) {
+    const state = this.transactionState;
+    const index = this.findSavepoint(name);
+    const savepoint = state.savepoints[index];
+
+    state.savepoints.length = index + 1;
+    state.pending = new Map(savepoint.pending);
+    state.changes.length = savepoint.changes;
+    this.tables = this.copyTables(savepoint.tables);
+    this.userVersion = savepoint.userVersion;
+    this.indexCache.clear();
+  }
+
+  /**
+   * Throw if the table does not exist
+   * @private
+   * @param {string} tableName - The name of the table
+   */
+  assertTableExists(tableName) {
+    if (!this.tables[tableName]) {
+      throw new Error(`Table ${tableName} does not exist`);
+    }
+  }
+
+  /**
+   * Execute CREATE TABLE statement
+   * @private
+   * @param {object} statement - The createTable AST node
+   * @returns {object} Result object
+   */
+  createTable(statement) {
+    const tableName = statement.name;
+
+    if (this.tables[tableName]) {
+      if (statement.ifNotExists) {
+        return { success: true, message: `Table ${tableName} already exists` };
+      }
+      throw new Error(`Table ${tableName} already exists`);
+    }
+
+    const columns = {};
+    statement.columns.forEach(col => {
+      if (Object.prototype.hasOwnProperty.call(columns, col.name)) {
+        throw new Error(`Duplicate column name: ${col.name}`);
+      }
+      columns[col.name] = col.definition;
+    });
+
+    const assertColumns = names => names.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(columns, name)) {
+        throw new Error(`Table ${tableName} has no column named ${name}`);
+      }
+    });
+
+    const types = {};
+    statement.columns.forEach(col => {
+      types[col.name] = col.type;
+    });
+
+    const schema = {
+      columns: columns,
+      types: types,
+      primaryKey: this.extractPrimaryKey(statement),
+      notNull: statement.columns.filter(col => col.notNull).map(col => col.name),
+      defaults: {},
+      unique: statement.columns.filter(col => col.unique).map(col => [col.name]),
+      checks: statement.columns.filter(col => col.check).map(col => ({ column: col.name, name: null, expr: col.check })),
+      foreignKeys: []
+    };
+    assertColumns(schema.primaryKey);
+
+    // AUTOINCREMENT の連番はスキーマに保存する
+    if (statement.columns.some(col => col.autoincrement)) {
+      const column = schema.primaryKey[0];
+      if (schema.primaryKey.length !== 1 || types[column].toUpperCase() !== 'INTEGER') {
+        throw new Error('AUTOINCREMENT is only allowed on an INTEGER PRIMARY KEY');
+      }
+      schema.autoincrement = true;
+      schema.sequence = 0;
+    }
+
+    statement.columns.filter(col => col.default !== null).forEach(col => {
+      schema.defaults[col.name] = col.default;
+    });
+
+    statement.constraints.forEach(constraint => {
+      if (constraint.type === 'unique') {
+        assertColumns(constraint.columns);
+        schema.unique.push(constraint.columns);
+      } else if (constraint.type === 'check') {
+        schema.checks.push({ column: null, name: constraint.name, expr: constraint.check });
+      }
+    });
+
+    statement.columns.filter(col => col.references).forEach(col => {
+      schema.foreignKeys.push(this.foreignKeyDefinition(tableName, [col.name], col.references));
+    });
+    statement.constraints.filter(constraint => constraint.type === 'foreignKey').forEach(constraint => {
+      assertColumns(constraint.columns);
+      schema.foreignKeys.push(this.foreignKeyDefinition(tableName, constraint.columns, constraint.references));
+    });
+
+    this.tables[tableName] = schema;
+
+    this.saveSchema();
+    this.saveTableData(tableName, []);
+    this.recordChange(tableName, 'schema');
+
+    return { success: true, message: `Table ${tableName} created` };
+  }
+
+  /**
+   * Extract PRIMARY KEY from column definitions and table constraints
+   * @private
+   * @param {object} statement - The createTable AST node
+   * @returns {array} The primary key column names (empty if there is none)
+   */
+  extractPrimaryKey(statement) {
+    const keys = statement.columns.filter(col => col.primaryKey).map(col => [col.name])
+      .concat(statement.constraints.filter(c => c.type === 'primaryKey').map(c => c.columns));
+    if (keys.length > 1) {
+      throw new Error(`Table ${statement.name} has more than one primary key`);
+    }
+    return keys.length > 0 ? keys[0] : [];
+  }
+
+  /**
+   * Execute DROP TABLE statement
+   * @private
+   * @param {object} statement - The dropTable AST node
+   * @returns {object} Result object
+   */
+  dropTable(statement) {
+    const tableName = statement.name;
+    if (!this.tables[tableName]) {
+      if (statement.ifExists) {
+        return { success: true, message: `Table ${tableName} does not exist` };
+      }
+      throw new Error(`Table ${tableName} does not exist`);
+    }
+    const child = this.referencingKeys(tableName).find(({ table }) => table !== tableName);
+    if (this.foreignKeys && child) {
+      throw new Error(`Cannot drop table ${tableName}: it is referenced by a foreign key in ${child.table}`);
+    }
+
+    delete this.tables[tableName];
+    this.saveSchema();
+    this.removeTableData(tableName);
+    this.recordChange(tableName, 'schema');
+
+    return { success: true, message: `Table ${tableName} dropped` };
+  }
+
+  /**
+   * Execute TRUNCATE statement. The schema (and AUTOINCREMENT sequence) is kept.
+   * @private
+   * @param {object} statement - The truncate AST node
+   * @returns {object} Result object
+   */
+  truncateTable(statement) {
+    const tableName = statement.name;
+    this.assertTableExists(tableName);
+
+    const data = this.getTableData(tableName);
+    this.saveTableData(tableName, []);
+    this.recordChange(tableName, 'delete', data);
+    this.checkForeignKeys(tableName, { added: [], removed: data });
+
+    return { success: true, message: `Table ${tableName} truncated`, changes: data.length };
+  }
+
+  /**
+   * Execute ALTER TABLE statement
+   * @private
+   * @param {object} statement - The alterTable AST node
+   * @returns {object} Result object
+   */
+  alterTable(statement) {
+    const tableName = statement.table;
+    this.assertTableExists(tableName);
+
+    switch (statement.action) {
+      case 'addColumn':
+        this.addColumn(tableName, statement.column);
+        this.recordChange(tableName, 'schema');
+        return { success: true, message: `Column ${statement.column.name} added to ${tableName}` };
+      case 'dropColumn':
+        this.dropColumn(tableName, statement.column);
+        this.recordChange(tableName, 'schema');
+        return { success: true, message: `Column ${statement.column} dropped from ${tableName}` };
+      case 'renameColumn':
+        this.renameColumn(tableName, statement.column, statement.newName);
+        this.recordChange(tableName, 'schema');
+        return { success: true, message: `Column ${statement.column} renamed to ${statement.newName}` };
+      default:
+        this.renameTable(tableName, statement.newName);
+        this.recordChange(tableName, 'schema');
+        this.recordChange(statement.newName, 'schema');
+        return { success: true, message: `Table ${tableName} renamed to ${statement.newName}` };
+    }
+  }
+
+  /**
+   * ALTER TABLE ... ADD COLUMN. Existing rows get the column's DEFAULT value.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} column - Column definition from the parser
+   */
+  addColumn(tableName, column) {
+    const previous = this.tables[tableName];
+    if (Object.prototype.hasOwnProperty.call(previous.columns, column.name)) {
+      throw new Error(`Duplicate column name: ${column.name}`);
+    }
+    if (column.primaryKey || column.unique) {
+      throw new Error('Cannot add a PRIMARY KEY or UNIQUE column');
+    }
+
+    const schema = JSON.parse(JSON.stringify(previous));
+    schema.columns[column.name] = column.definition;
+    schema.types[column.name] = column.type;
+    if (column.notNull) schema.notNull.push(column.name);
+    if (column.default !== null) schema.defaults[column.name] = column.default;
+    if (column.check) schema.checks.push({ column: column.name, name: null, expr: column.check });
+    const key = column.references ? this.foreignKeyDefinition(tableName, [column.name], column.references) : null;
+    if (key) schema.foreignKeys.push(key);
+
+    // 新しいスキーマで既存の行を埋め、制約に反する場合は元に戻す
+    this.tables[tableName] = schema;
+    let data;
+    try {
+      const value = this.defaultValue(tableName, column.name, null);
+      if (column.notNull && value === null) {
+        throw new Error('Cannot add a NOT NULL column with default value NULL');
+      }
+      if (key && this.foreignKeys && value !== null && !this.hasReferencedRow(key, [value])) {
+        throw this.foreignKeyError(tableName, key);
+      }
+      data = this.getTableData(tableName).map(row => {
+        const updated = this.applyAffinity(tableName, Object.assign({}, row, { [column.name]: value }));
+        this.checkConstraints(tableName, updated);
+        return updated;
+      });
+    } catch (error) {
+      this.tables[tableName] = previous;
+      throw error;
+    }
+
+    this.saveSchema();
+    this.saveTableData(tableName, data);
+  }
+
+  /**
+   * ALTER TABLE ... DROP COLUMN. Columns used by a key, an index or another
+   * column's CHECK cannot be dropped.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {string} column - The column name
+   */
+  dropColumn(tableName, column) {
+    this.assertColumnExists(tableName, column);
+    const schema = this.tables[tableName];
+
+    if (Object.keys(schema.columns).length === 1) {
+      throw new Error(`Cannot drop column ${column}: no other columns exist in ${tableName}`);
+    }
+    if (schema.primaryKey.includes(column) || schema.unique.some(columns => columns.includes(column))) {
+      throw new Error(`Cannot drop column ${column}: it is part of a PRIMARY KEY or UNIQUE constraint`);
+    }
+    if (schema.foreignKeys.some(key => key.columns.includes(column)) ||
+        this.referencingKeys(tableName).some(({ key }) => key.references && key.references.includes(column))) {
+      throw new Error(`Cannot drop column ${column}: it is part of a foreign key`);
+    }
+    const index = (schema.indexes || []).find(definition => definition.columns.includes(column));
+    if (index) {
+      throw new Error(`Cannot drop column ${column}: it is used by index ${index.name}`);
+    }
+    // 他のカラムのCHECK・テーブルCHECKで参照されていないか
+    if (schema.checks.some(check => check.column !== column && this.renameIdentifier(check.expr, column, column) !== null)) {
+      throw new Error(`Cannot drop column ${column}: it is used by a CHECK constraint`);
+    }
+
+    delete schema.columns[column];
+    delete schema.types[column];
+    delete schema.defaults[column];
+    schema.notNull = schema.notNull.filter(name => name !== column);
+    schema.checks = schema.checks.filter(check => check.column !== column);
+
+    const data = this.getTableData(tableName).map(row => {
+      const updated = Object.assign({}, row);
+      delete updated[column];
+      return updated;
+    });
+
+    this.saveSchema();
+    this.saveTableData(tableName, data);
+  }
+
+  /**
+   * ALTER TABLE ... RENAME COLUMN. Keys, indexes and CHECK expressions that
+   * refer to the column are updated.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {string} column - The current column name
+   * @param {string} newName - The new column name
+   */
+  renameColumn(tableName, column, newName) {
+    this.assertColumnExists(tableName, column);
+    const schema = this.tables[tableName];
+    if (Object.prototype.hasOwnProperty.call(schema.columns, newName)) {
+      throw new Error(`Duplicate column name: ${newName}`);
+    }
+
+    // カラムの並び順を保ったままキーを付け替える
+    const renameKey = object => {
+      const renamed = {};
+      Object.keys(object).forEach(key => {
+        renamed[key === column ? newName : key] = object[key];
+      });
+      return renamed;
+    };
+    const renameList = columns => columns.map(name => (name === column ? newName : name));
+    const renameText = text => {
+      const renamed = this.renameIdentifier(text, column, newName);
+      return renamed === null ? text : renamed;
+    };
+
+    schema.columns = renameKey(schema.columns);
+    Object.keys(schema.columns).forEach(name => {
+      schema.columns[name] = renameText(schema.columns[name]);
+    });
+    schema.types = renameKey(schema.types);
+    schema.defaults = renameKey(schema.defaults);
+    schema.primaryKey = renameList(schema.primaryKey);
+    schema.notNull = renameList(schema.notNull);
+    schema.unique = schema.unique.map(renameList);
+    schema.checks.forEach(check => {
+      if (check.column === column) check.column = newName;
+      check.expr = renameText(check.expr);
+    });
+    (schema.indexes || []).forEach(definition => {
+      definition.columns = renameList(definition.columns);
+    });
+    schema.foreignKeys.forEach(key => {
+      key.columns = renameList(key.columns);
+    });
+    this.referencingKeys(tableName).forEach(({ key }) => {
+      if (key.references) key.references = renameList(key.references);
+    });
+
+    const data = this.getTableData(tableName).map(renameKey);
+
+    this.saveSchema();
+    this.saveTableData(tableName, data);
+  }
+
+  /**
+   * ALTER TABLE ... RENAME TO. The data moves to the new table's storage key.
+   * @private
+   * @param {string} tableName - The current table name
+   * @param {string} newName - The new table name
+   */
+  renameTable(tableName, newName) {
+    if (this.tables[newName]) {
+      throw new Error(`Table ${newName} already exists`);
+    }
+
+    const schema = this.tables[tableName];
+    // CHECK 内の "table.column" の修飾も新しい名前にする
+    schema.checks.forEach(check => {
+      const renamed = this.renameIdentifier(check.expr, tableName, newName, true);
+      if (renamed !== null) check.expr = renamed;
+    });
+
+    // このテーブルを参照する外部キー（自己参照を含む）も付け替える
+    this.referencingKeys(tableName).forEach(({ key }) => {
+      key.table = newName;
+    });
+
+    const data = this.getTableData(tableName);
+    delete this.tables[tableName];
+    this.tables[newName] = schema;
+
+    this.writeTableData(newName, data);
+    this.saveSchema();
+    this.removeTableData(tableName);
+  }
+
+  /**
+   * Replace an identifier in SQL text, keeping everything else as written
+   * @private
+   * @param {string} text - Expression or column definition text
+   * @param {string} name - The identifier to replace
+   * @param {string} newName - The replacement
+   * @param {boolean} qualifier - Replace only where followed by "." (table names)
+   * @returns {string|null} The new text, or null if the identifier does not occur
+   */
+  renameIdentifier(text, name, newName, qualifier = false) {
+    const tokens = new SQLTokenizer(text).tokenize();
+    let result = '';
+    let last = 0;
+
+    tokens.forEach((token, i) => {
+      if (token.type !== 'identifier' || token.value !== name) return;
+      // 関数名（直後が "("）は対象外
+      const next = tokens[i + 1];
+      const nextSymbol = next.type === 'symbol' ? next.value : null;
+      if (nextSymbol === '(' || (nextSymbol === '.') !== qualifier) return;
+      result += text.slice(last, token.position) + this.quoteIdentifier(newName);
+      last = token.end;
+    });
+
+    return last === 0 ? null : result + text.slice(last);
+  }
+
+  /**
+   * Quote an identifier for SQL text when it is not a plain name
+   * @private
+   */
+  quoteIdentifier(name) {
+    if (/^[A-Za-z_][\w$]*$/.test(name) && !SQL_KEYWORDS.has(name.toUpperCase())) {
+      return name;
+    }
+    return `"${name.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Parse a DEFAULT or CHECK expression stored in the schema
+   * @private
+   * @param {string} text - The expression text
+   * @returns {object} The expression AST
+   */
+  storedExpression(text) {
+    if (!this.expressionCache.has(text)) {
+      this.expressionCache.set(text, SQLParser.parseExpressionText(text));
+    }
+    return this.expressionCache.get(text);
+  }
+
+  /**
+   * Throw if a column is not part of the table
+   * @private
+   */
+  assertColumnExists(tableName, column) {
+    if (!Object.prototype.hasOwnProperty.call(this.tables[tableName].columns, column)) {
+      throw new Error(`Table ${tableName} has no column named ${column}`);
+    }
+  }
+
+  /**
+   * Value for a column omitted from an INSERT
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {string} column - The column name
+   * @param {object} outer - Environment used to evaluate the DEFAULT
+   * @returns {*} The DEFAULT value, or null
+   */
+  defaultValue(tableName, column, outer) {
+    const defaults = this.tables[tableName].defaults || {};
+    if (!Object.prototype.hasOwnProperty.call(defaults, column)) return null;
+    return this.evaluateExpression(this.storedExpression(defaults[column]), this.createEnv([], {}, outer));
+  }
+
+  /**
+   * Check NOT NULL and CHECK constraints for a row about to be written.
+   * PRIMARY KEY and UNIQUE are checked through their indexes when saving.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} row - The new row
+   * @throws {ConstraintError} If a constraint is violated
+   */
+  checkConstraints(tableName, row) {
+    const schema = this.tables[tableName];
+
+    const rowidColumn = this.rowidColumn(tableName);
+    if (rowidColumn !== ROWID_KEY && row[rowidColumn] !== null && !Number.isInteger(row[rowidColumn])) {
+      throw new ConstraintError(
+        `INTEGER PRIMARY KEY must be an integer: ${tableName}.${rowidColumn}`, tableName, rowidColumn
+      );
+    }
+
+    const notNull = schema.primaryKey.concat(schema.notNull || []);
+    notNull.forEach(column => {
+      if (row[column] === null || row[column] === undefined) {
+        throw new ConstraintError(`NOT NULL constraint failed: ${tableName}.${column}`, tableName, column);
+      }
+    });
+
+    const sources = [{ name: tableName, table: tableName, columns: Object.keys(schema.columns) }];
+    const env = this.createEnv(sources, { [tableName]: row }, null);
+    (schema.checks || []).forEach(check => {
+      // CHECKはNULL（UNKNOWN）の場合は満たされたものとする
+      if (this.evaluateCondition(this.storedExpression(check.expr), env) === false) {
+        const target = check.column ? `${tableName}.${check.column}` : `${tableName} (${check.name || check.expr})`;
+        throw new ConstraintError(`CHECK constraint failed: ${target}`, tableName, check.column);
+      }
+    });
+  }
+
+  /**
+   * Type affinity of a declared column type, following SQLite's rules with
+   * an extra BOOLEAN affinity
+   * @private
+   * @param {string} type - The declared type
+   * @returns {string|null} INTEGER, TEXT, BOOLEAN, DATE, DATETIME, REAL or NUMERIC (null: keep values as given)
+   */
+  typeAffinity(type) {
+    const upper = (type || '').toUpperCase();
+    if (upper.includes('INT')) return 'INTEGER';
+    if (/CHAR|CLOB|TEXT/.test(upper)) return 'TEXT';
+    if (upper === '' || upper.includes('BLOB')) return null;
+    if (upper.includes('BOOL')) return 'BOOLEAN';
+    if (upper === 'DATE') return 'DATE';
+    if (/DATE|TIMESTAMP/.test(upper)) return 'DATETIME';
+    if (/REAL|FLOA|DOUB/.test(upper)) return 'REAL';
+    return 'NUMERIC';
+  }
+
+  /**
+   * @private
+   */
+  columnAffinity(tableName, column) {
+    const types = this.tables[tableName].types || {};
+    return this.typeAffinity(types[column]);
+  }
+
+  /**
+   * Convert a value for storage under an affinity
+   * @private
+   * @param {*} value - The value
+   * @param {string|null} affinity - The affinity
+   * @returns {*} The converted value, or undefined if it cannot be converted
+   */
+  convertValue(value, affinity) {
+    if (value === null || value === undefined) return null;
+
+    switch (affinity) {
+      case 'INTEGER':
+      case 'REAL':
+      case 'NUMERIC':
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'string' && NUMERIC_TEXT.test(value)) return Number(value);
+        return undefined;
+
+      case 'TEXT':
+        return typeof value === 'object' ? undefined : String(value);
+
+      case 'BOOLEAN': {
+        if (typeof value === 'boolean') return value;
+        if (value === 1 || value === 0) return value === 1;
+        const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+        if (text === 'true' || text === '1') return true;
+        if (text === 'false' || text === '0') return false;
+        return undefined;
+      }
+
+      // 日時のテキストは YYYY-MM-DD [HH:MM:SS] 形式（UTC）にそろえ、数値はユリウス日としてそのまま保存する
+      case 'DATE':
+      case 'DATETIME': {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return undefined;
+        if (NUMERIC_TEXT.test(value)) return Number(value);
+        const ms = TimeValue.parseText(value);
+        const text = ms === null ? null : TimeValue.toText(ms, affinity);
+        return text === null ? undefined : text;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Convert the values of a row to the affinities of their columns
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} row - The row
+   * @returns {object} The converted row
+   * @throws {ConstraintError} If a value cannot be stored in its column
+   */
+  applyAffinity(tableName, row) {
+    const converted = {};
+    Object.keys(row).forEach(column => {
+      const affinity = this.columnAffinity(tableName, column);
+      const value = this.convertValue(row[column], affinity);
+      if (value === undefined) {
+        throw new ConstraintError(
+          `Cannot store ${this.valueType(row[column]).toUpperCase()} value ${JSON.stringify(row[column])} ` +
+          `in ${affinity} column ${tableName}.${column}`,
+          tableName,
+          column
+        );
+      }
+      converted[column] = value;
+    });
+    return converted;
+  }
+
+  /**
+   * Property that holds a table's rowid: its INTEGER PRIMARY KEY column, or
+   * the hidden rowid for other tables
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} schema - The table's schema (default: the one in this.tables)
+   * @returns {string} The property name
+   */
+  rowidColumn(tableName, schema = this.tables[tableName]) {
+    const key = schema.primaryKey;
+    if (key.length === 1 && (schema.types[key[0]] || '').toUpperCase() === 'INTEGER') {
+      return key[0];
+    }
+    return ROWID_KEY;
+  }
+
+  /**
+   * Give a new row its rowid. An INTEGER PRIMARY KEY left NULL gets the
+   * largest rowid in use plus one; with AUTOINCREMENT, ids are never reused
+   * since the largest one ever used is kept in the schema.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} row - The new row (modified)
+   * @param {array} data - The current table data
+   * @returns {number} The rowid
+   */
+  assignRowid(tableName, row, data) {
+    const schema = this.tables[tableName];
+    const column = this.rowidColumn(tableName);
+
+    if (column === ROWID_KEY || row[column] === null) {
+      let max = schema.autoincrement ? schema.sequence : 0;
+      data.forEach(existing => {
+        if (typeof existing[column] === 'number' && existing[column] > max) max = existing[column];
+      });
+      row[column] = max + 1;
+    }
+    return row[column];
+  }
+
+  /**
+   * Record the largest AUTOINCREMENT id used after a successful insert
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {number} rowid - The inserted rowid
+   */
+  updateSequence(tableName, rowid) {
+    const schema = this.tables[tableName];
+    if (schema.autoincrement && rowid > schema.sequence) {
+      schema.sequence = rowid;
+      this.saveSchema();
+    }
+  }
+
+  /**
+   * Build the foreign key stored with the schema from a REFERENCES clause.
+   * As in SQLite, the parent table is only checked when the key is enforced.
+   * @private
+   * @param {string} tableName - The referencing (child) table
+   * @param {array} columns - The referencing columns
+   * @param {object} references - { table, columns, onDelete, onUpdate } from the parser
+   * @returns {object} { columns, table, references (null: the parent's primary key), onDelete, onUpdate }
+   */
+  foreignKeyDefinition(tableName, columns, references) {
+    if (references.columns && references.columns.length !== columns.length) {
+      throw new Error(
+        `Foreign key ${tableName}(${columns.join(', ')}) does not match ${references.table}(${references.columns.join(', ')})`
+      );
+    }
+    return {
+      columns: columns,
+      table: references.table,
+      references: references.columns,
+      onDelete: references.onDelete,
+      onUpdate: references.onUpdate
+    };
+  }
+
+  /**
+   * Parent columns of a foreign key, which must be its PRIMARY KEY or UNIQUE
+   * @private
+   * @param {object} key - The foreign key
+   * @returns {array} The referenced column names
+   */
+  referencedColumns(key) {
+    this.assertTableExists(key.table);
+    const columns = key.references || this.tables[key.table].primaryKey;
+    if (columns.length !== key.columns.length ||
+        !this.getIndexDefinitions(key.table).some(d => d.unique && this.sameColumns(d.columns, columns))) {
+      const target = columns.length > 0 ? `${key.table}(${columns.join(', ')})` : key.table;
+      throw new Error(`Foreign key mismatch: ${target} is not a PRIMARY KEY or UNIQUE`);
+    }
+    return columns;
+  }
+
+  /**
+   * Foreign keys in any table (including the table itself) that reference a table
+   * @private
+   * @param {string} tableName - The referenced (parent) table
+   * @returns {array} [{ table, key }]
+   */
+  referencingKeys(tableName) {
+    const found = [];
+    Object.keys(this.tables).forEach(table => {
+      this.tables[table].foreignKeys.forEach(key => {
+        if (key.table === tableName) found.push({ table: table, key: key });
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Whether the parent table of a foreign key has a row with the given values
+   * @private
+   * @param {object} key - The foreign key
+   * @param {array} values - Values of the referencing columns
+   * @returns {boolean}
+   */
+  hasReferencedRow(key, values) {
+    const columns = this.referencedColumns(key);
+    const definition = this.getIndexDefinitions(key.table).find(d => d.unique && this.sameColumns(d.columns, columns));
+    const index = this.loadIndex(key.table, definition);
+    const probe = {};
+    columns.forEach((col, i) => {
+      probe[col] = this.convertValue(values[i], this.columnAffinity(key.table, col));
+    });
+    const rows = index.entries.get(this.rowIndexKey(index, probe)) || [];
+    return rows.some(row => this.sameIndexKey(index, probe, row));
+  }
+
+  /**
+   * Enforce foreign keys after rows of a table were written. Rows that
+   * referenced a removed or changed key get the ON DELETE / ON UPDATE action,
+   * and new rows must reference an existing parent row.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} changes - { added, removed, replacements } (replacements maps an old row to its new row)
+   * @throws {ConstraintError} If a foreign key is violated
+   */
+  checkForeignKeys(tableName, changes) {
+    if (!this.foreignKeys) return;
+    const replacements = changes.replacements || new Map();
+
+    const referencing = changes.removed.length > 0 ? this.referencingKeys(tableName) : [];
+    referencing.forEach(({ table, key }) => {
+      const columns = this.referencedColumns(key);
+      changes.removed.forEach(row => {
+        const values = columns.map(col => this.columnValue(row, col));
+        // キーが残っている（値が変わっていない）行は対象外
+        if (values.includes(null) || this.hasReferencedRow(key, values)) return;
+        const replacement = replacements.get(row);
+        const newValues = replacement ? columns.map(col => this.columnValue(replacement, col)) : null;
+        this.applyReferentialAction(table, key, values, newValues);
+      });
+    });
+
+    this.tables[tableName].foreignKeys.forEach(key => {
+      changes.added.forEach(row => {
+        const values = key.columns.map(col => this.columnValue(row, col));
+        if (!values.includes(null) && !this.hasReferencedRow(key, values)) {
+          throw this.foreignKeyError(tableName, key);
+        }
+      });
+    });
+  }
+
+  /**
+   * Apply ON DELETE (newValues is null) or ON UPDATE to the rows referencing a parent key
+   * @private
+   * @param {string} tableName - The referencing (child) table
+   * @param {object} key - The foreign key
+   * @param {array} values - The parent key that was removed or changed
+   * @param {array} newValues - The parent's new key values (null when deleted)
+   */
+  applyReferentialAction(tableName, key, values, newValues) {
+    const action = newValues ? key.onUpdate : key.onDelete;
+    const data = this.getTableData(tableName);
+    const parentValues = key.columns.map((col, i) => this.convertValue(values[i], this.columnAffinity(tableName, col)));
+    const matches = new Set(data.filter(row =>
+      key.columns.every((col, i) => this.compareValues(this.columnValue(row, col), parentValues[i]) === 0)
+    ));
+    if (matches.size === 0) return;
+
+    if (action === 'NO ACTION' || action === 'RESTRICT') {
+      throw this.foreignKeyError(tableName, key);
+    }
+
+    if (action === 'CASCADE' && !newValues) {
+      const removed = Array.from(matches);
+      this.saveTableData(tableName, data.filter(row => !matches.has(row)), { added: [], removed: removed });
+      this.recordChange(tableName, 'delete', removed);
+      this.checkForeignKeys(tableName, { added: [], removed: removed });
+      return;
+    }
+
+    // SET NULL・SET DEFAULT・ON UPDATE CASCADE は参照カラムを書き換える
+    const changes = { added: [], removed: [], replacements: new Map() };
+    const updatedData = data.map(row => {
+      if (!matches.has(row)) return row;
+      const updates = {};
+      key.columns.forEach((col, i) => {
+        if (action === 'CASCADE') {
+          updates[col] = newValues[i];
+        } else {
+          updates[col] = action === 'SET NULL' ? null : this.defaultValue(tableName, col, null);
+        }
+      });
+      const updated = this.applyAffinity(tableName, Object.assign({}, row, updates));
+      this.checkConstraints(tableName, updated);
+      changes.removed.push(row);
+      changes.added.push(updated);
+      changes.replacements.set(row, updated);
+      return updated;
+    });
+
+    this.saveTableData(tableName, updatedData, changes);
+    this.recordChange(tableName, 'update', changes.added);
+    this.checkForeignKeys(tableName, changes);
+  }
+
+  /**
+   * @private
+   */
+  foreignKeyError(tableName, key) {
+    const target = key.columns.map(col => `${tableName}.${col}`).join(', ');
+    return new ConstraintError(`FOREIGN KEY constraint failed: ${target}`, tableName, key.columns.join(', '));
+  }
+
+  /**
+   * Run a write to a table that takes part in foreign keys inside a
+   * transaction (or savepoint), so that actions on other tables are undone
+   * together with the write when a check fails
+   * @private
+   * @param {string} tableName - The table being written
+   * @param {function} write - Performs the write and returns its result
+   * @returns {*} The write's result
+   */
+  writeWithForeignKeys(tableName, write) {
+    const schema = this.tables[tableName];
+    if (!this.foreignKeys || !schema || (schema.foreignKeys.length === 0 && this.referencingKeys(tableName).length === 0)) {
+      return write();
+    }
+    return this.transaction(() => write());
+  }
+
+  /**
+   * Execute PRAGMA statement
+   * @private
+   * @param {object} statement - The pragma AST node
+   * @returns {*} The setting as a result row, or a result object when it was changed
+   */
+  pragma(statement) {
+    switch (statement.name) {
+      case 'foreign_keys': {
+        if (statement.value === null) {
+          return [{ foreign_keys: this.foreignKeys ? 1 : 0 }];
+        }
+        const value = String(statement.value).toUpperCase();
+        if (!['1', '0', 'ON', 'OFF', 'TRUE', 'FALSE', 'YES', 'NO'].includes(value)) {
+          throw new Error(`Invalid value for PRAGMA foreign_keys: ${statement.value}`);
+        }
+        if (this.transactionState) {
+          throw new Error('Cannot change foreign_keys inside a transaction');
+        }
+        this.foreignKeys = ['1', 'ON', 'TRUE', 'YES'].includes(value);
+        return { success: true, message: `Foreign keys ${this.foreignKeys ? 'enabled' : 'disabled'}` };
+      }
+      case 'user_version': {
+        if (statement.value === null) {
+          return [{ user_version: this.userVersion }];
+        }
+        const version = Number(statement.value);
+        if (!Number.isInteger(version)) {
+          throw new Error(`Invalid value for PRAGMA user_version: ${statement.value}`);
+        }
+        this.setUserVersion(version);
+        return { success: true, message: `User version set to ${version}` };
+      }
+      default:
+        throw new Error(`Unknown pragma: ${statement.name}`);
+    }
+  }
+
+  /**
+   * Set the schema version. Inside a transaction it is written on COMMIT.
+   * @private
+   * @param {number} version - The new version
+   */
+  setUserVersion(version) {
+    this.userVersion = version;
+    if (!this.transactionState) {
+      this.storage.setItem(this.versionKey, String(version));
+    }
+  }
+
+  /**
+   * Execute CREATE [UNIQUE] INDEX statement
+   * @private
+   * @param {object} statement - The createIndex AST node
+   * @returns {object} Result object
+   */
+  createIndex(statement) {
+    const tableName = statement.table;
+    this.assertTableExists(tableName);
+
+    if (this.findIndex(statement.name)) {
+      if (statement.ifNotExists) {
+        return { success: true, message: `Index ${statement.name} already exists` };
+      }
+      throw new Error(`Index ${statement.name} already exists`);
+    }
+
+    const schema = this.tables[tableName];
+    statement.columns.forEach(col => {
+      if (!Object.prototype.hasOwnProperty.call(schema.columns, col)) {
+        throw new Error(`Table ${tableName} has no column named ${col}`);
+      }
+    });
+
+    const definition = { name: statement.name, columns: statement.columns, unique: statement.unique };
+
+    // UNIQUEインデックスは既存データの重複を先に確認する
+    if (definition.unique) {
+      const index = this.buildIndex(tableName, definition);
+      index.entries.forEach((rows, key) => {
+        if (key !== null && rows.some((row, i) => rows.slice(i + 1).some(other => this.sameIndexKey(index, row, other)))) {
+          throw this.uniqueError(tableName, definition);
+        }
+      });
+    }
+
+    schema.indexes = (schema.indexes || []).concat([definition]);
+    this.saveSchema();
+    this.indexCache.delete(tableName);
+
+    return { success: true, message: `Index ${statement.name} created` };
+  }
+
+  /**
+   * Execute DROP INDEX statement
+   * @private
+   * @param {object} statement - The dropIndex AST node
+   * @returns {object} Result object
+   */
+  dropIndex(statement) {
+    const found = this.findIndex(statement.name);
+    if (!found) {
+      if (statement.ifExists) {
+        return { success: true, message: `Index ${statement.name} does not exist` };
+      }
+      throw new Error(`Index ${statement.name} does not exist`);
+    }
+    if (found.definition.implicit) {
+      throw new Error(`Index ${statement.name} belongs to a PRIMARY KEY or UNIQUE constraint and cannot be dropped`);
+    }
+
+    const schema = this.tables[found.table];
+    schema.indexes = schema.indexes.filter(index => index.name !== found.definition.name);
+    this.saveSchema();
+    this.indexCache.delete(found.table);
+
+    return { success: true, message: `Index ${statement.name} dropped` };
+  }
+
+  /**
+   * Index definitions of a table, including the implicit primary key index
+   * @private
+   * @param {string} tableName - The name of the table
+   * @returns {array} Definitions ({ name, columns, unique, implicit })
+   */
+  getIndexDefinitions(tableName) {
+    const schema = this.tables[tableName];
+    const definitions = [];
+    // PRIMARY KEY・UNIQUE制約は暗黙のUNIQUEインデックスで検査する
+    if (schema.primaryKey.length > 0) {
+      definitions.push({ name: `${tableName}_pkey`, columns: schema.primaryKey, unique: true, implicit: true });
+    }
+    (schema.unique || []).forEach(columns => {
+      definitions.push({ name: `${tableName}_${columns.join('_')}_key`, columns: columns, unique: true, implicit: true });
+    });
+    return definitions.concat(schema.indexes || []);
+  }
+
+  /**
+   * Find an index by name in any table
+   * @private
+   * @param {string} name - The index name
+   * @returns {object|null} { table, definition }
+   */
+  findIndex(name) {
+    for (let table of Object.keys(this.tables)) {
+      const definition = this.getIndexDefinitions(table)
+        .find(index => index.name.toLowerCase() === name.toLowerCase());
+      if (definition) return { table: table, definition: definition };
+    }
+    return null;
+  }
+
+  /**
+   * Get a built index, building it from the table data on first use
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} definition - The index definition
+   * @returns {object} { columns, unique, entries, sorted }
+   */
+  loadIndex(tableName, definition) {
+    // コミット済みのデータから作ったインデックスは、ストレージが変わっていれば捨てる
+    if (!this.transactionState || !this.transactionState.pending.has(tableName)) {
+      this.committedRows(tableName);
+    }
+    let indexes = this.indexCache.get(tableName);
+    if (!indexes) {
+      indexes = new Map();
+      this.indexCache.set(tableName, indexes);
+    }
+    if (!indexes.has(definition.name)) {
+      indexes.set(definition.name, this.buildIndex(tableName, definition));
+    }
+    return indexes.get(definition.name);
+  }
+
+  /**
+   * @private
+   */
+  buildIndex(tableName, definition) {
+    const index = { columns: definition.columns, unique: definition.unique, entries: new Map(), sorted: null };
+    this.getTableData(tableName).forEach(row => this.addToIndex(index, row));
+    return index;
+  }
+
+  /**
+   * Key under which a value is stored in an index.
+   * Values that compare equal with = share a key (others may too).
+   * @private
+   * @param {*} value - The column value
+   * @returns {string} The key
+   */
+  indexKey(value) {
+    if (value === null || value === undefined) return 'null';
+    // 比較時にカラムの型へ変換される値（'30'、'true' 等）も同じキーにまとめる
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+    if (text === 'true' || text === 'false') return `n:${text === 'true' ? 1 : 0}`;
+    const number = Number(value);
+    if (typeof value !== 'string' || !isNaN(number)) return `n:${number}`;
+    return `s:${value}`;
+  }
+
+  /**
+   * Key of a row in an index (null if any indexed column is NULL)
+   * @private
+   */
+  rowIndexKey(index, row) {
+    const values = index.columns.map(col => this.columnValue(row, col));
+    if (values.some(value => value === null)) return null;
+    return index.columns.length === 1
+      ? this.indexKey(values[0])
+      : JSON.stringify(values.map(value => this.indexKey(value)));
+  }
+
+  /**
+   * @private
+   */
+  addToIndex(index, row) {
+    const key = this.rowIndexKey(index, row);
+    const rows = index.entries.get(key);
+    if (rows) {
+      rows.push(row);
+    } else {
+      index.entries.set(key, [row]);
+    }
+    index.sorted = null;
+  }
+
+  /**
+   * @private
+   */
+  removeFromIndex(index, row) {
+    const key = this.rowIndexKey(index, row);
+    const rows = (index.entries.get(key) || []).filter(r => r !== row);
+    if (rows.length > 0) {
+      index.entries.set(key, rows);
+    } else {
+      index.entries.delete(key);
+    }
+    index.sorted = null;
+  }
+
+  /**
+   * Apply row changes to the built indexes of a table
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} changes - { added, removed }, or null to discard the indexes
+   */
+  updateIndexes(tableName, changes) {
+    const indexes = this.indexCache.get(tableName);
+    if (!indexes) return;
+    if (!changes) {
+      this.indexCache.delete(tableName);
+      return;
+    }
+    indexes.forEach(index => {
+      changes.removed.forEach(row => this.removeFromIndex(index, row));
+      changes.added.forEach(row => this.addToIndex(index, row));
+    });
+  }
+
+  /**
+   * Throw if the changes would put duplicate keys into a UNIQUE index
+   * (including the PRIMARY KEY and UNIQUE constraints).
+   * Rows with a NULL in an indexed column never conflict.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} changes - { added, removed }
+   */
+  checkUniqueIndexes(tableName, changes) {
+    const removed = new Set(changes.removed);
+
+    this.getIndexDefinitions(tableName).filter(definition => definition.unique).forEach(definition => {
+      const index = this.loadIndex(tableName, definition);
+      const seen = new Map();
+
+      changes.added.forEach(row => {
+        const key = this.rowIndexKey(index, row);
+        if (key === null) return;
+        const existing = (index.entries.get(key) || []).filter(r => !removed.has(r)).concat(seen.get(key) || []);
+        if (existing.some(other => this.sameIndexKey(index, row, other))) {
+          throw this.uniqueError(tableName, definition);
+        }
+        seen.set(key, (seen.get(key) || []).concat([row]));
+      });
+    });
+  }
+
+  /**
+   * Rows already in the table that a new row would duplicate in a UNIQUE
+   * index (including the PRIMARY KEY and UNIQUE constraints)
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {object} row - The new row
+   * @returns {array} [{ definition, rows }] for each violated index
+   */
+  findConflicts(tableName, row) {
+    const conflicts = [];
+    this.getIndexDefinitions(tableName).filter(definition => definition.unique).forEach(definition => {
+      const index = this.loadIndex(tableName, definition);
+      const key = this.rowIndexKey(index, row);
+      if (key === null) return;
+      const rows = (index.entries.get(key) || []).filter(other => this.sameIndexKey(index, row, other));
+      if (rows.length > 0) {
+        conflicts.push({ definition: definition, rows: rows });
+      }
+    });
+    return conflicts;
+  }
+
+  /**
+   * Whether two rows have equal values in every column of an index.
+   * Index keys group values loosely, so rows sharing a key are compared here.
+   * @private
+   */
+  sameIndexKey(index, a, b) {
+    return index.columns.every(col => this.compareValues(this.columnValue(a, col), this.columnValue(b, col)) === 0);
+  }
+
+  /**
+   * @private
+   */
+  uniqueError(tableName, definition) {
+    const target = definition.columns.map(col => `${tableName}.${col}`).join(', ');
+    return new ConstraintError(`UNIQUE constraint failed: ${target}`, tableName, definition.columns.join(', '));
+  }
+
+  /**
+   * Non-NULL entries of a single-column index sorted by value, for range scans.
+   * type is the common typeof of the values, or 'mixed'.
+   * @private
+   */
+  sortedIndexEntries(index) {
+    if (!index.sorted) {
+      const entries = [];
+      index.entries.forEach(rows => {
+        rows.forEach(row => entries.push({ value: this.columnValue(row, index.columns[0]), row: row }));
+      });
+      const types = new Set(entries.filter(entry => entry.value !== null).map(entry => typeof entry.value));
+      const type = types.size === 0 ? null : (types.size === 1 ? Array.from(types)[0] : 'mixed');
+      if (type !== 'mixed') {
+        entries.sort((a, b) => (a.value < b.value ? -1 : (a.value > b.value ? 1 : 0)));
+      }
+      index.sorted = { type: type, entries: entries.filter(entry => entry.value !== null) };
+    }
+    return index.sorted;
+  }
+
+  /**
+   * Position of the first sorted entry above (or at, when inclusive) a value
+   * @private
+   */
+  lowerBound(entries, value, inclusive) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      const below = inclusive ? entries[middle].value < value : entries[middle].value <= value;
+      if (below) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Use an index to find the rows of a single table that can satisfy WHERE.
+   * Equality on every column of an index is preferred, then IN, then ranges
+   * (<, <=, >, >=, BETWEEN) on a single-column index.
+   * The returned rows are candidates: WHERE must still be applied to them.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {string} sourceName - The name the table is visible as
+   * @param {object} where - The WHERE expression (may be null)
+   * @param {object} outer - Enclosing environment (parameters, correlated rows)
+   * @returns {array|null} Candidate rows, or null when no index applies
+   */
+  indexLookup(tableName, sourceName, where, outer) {
+    if (!where) return null;
+
+    const predicates = [];
+    this.splitConjuncts(where).forEach(node => {
+      predicates.push(...this.indexablePredicates(node, tableName, sourceName));
+    });
+    if (predicates.length === 0) return null;
+
+    const forColumn = (column, kinds) => predicates.filter(p => p.column === column && kinds.includes(p.kind));
+
+    // 最も絞り込めるインデックスを選ぶ
+    let best = null;
+    this.getIndexDefinitions(tableName).forEach(definition => {
+      let plan = null;
+      if (definition.columns.every(col => forColumn(col, ['eq']).length > 0)) {
+        plan = { score: 3, kind: 'eq' };
+      } else if (definition.columns.length === 1 && forColumn(definition.columns[0], ['in']).length > 0) {
+        plan = { score: 2, kind: 'in' };
+      } else if (definition.columns.length === 1 && forColumn(definition.columns[0], ['range']).length > 0) {
+        plan = { score: 1, kind: 'range' };
+      }
+      if (plan && (!best || plan.score > best.score)) {
+        best = Object.assign(plan, { definition: definition });
+      }
+    });
+    if (!best) return null;
+
+    const env = this.createEnv([], {}, outer);
+    const index = this.loadIndex(tableName, best.definition);
+    const column = best.definition.columns[0];
+
+    try {
+      if (best.kind === 'eq') {
+        const row = {};
+        best.definition.columns.forEach(col => {
+          row[col] = this.indexProbeValue(tableName, col, this.evaluateExpression(forColumn(col, ['eq'])[0].value, env));
+        });
+        const key = this.rowIndexKey(index, row);
+        return key === null ? [] : (index.entries.get(key) || []).slice();
+      }
+
+      if (best.kind === 'in') {
+        const keys = new Set(forColumn(column, ['in'])[0].values
+          .map(node => this.indexProbeValue(tableName, column, this.evaluateExpression(node, env)))
+          .filter(value => value !== null)
+          .map(value => this.indexKey(value)));
+        const rows = [];
+        keys.forEach(key => rows.push(...(index.entries.get(key) || [])));
+        return rows;
+      }
+
+      const sorted = this.sortedIndexEntries(index);
+      let start = 0;
+      let end = sorted.entries.length;
+      for (let predicate of forColumn(column, ['range'])) {
+        const value = this.indexProbeValue(tableName, column, this.evaluateExpression(predicate.value, env));
+        if (value === null) return [];
+        if (sorted.type === null) return [];
+        if (typeof value !== sorted.type) return null;
+
+        if (predicate.operator === '>' || predicate.operator === '>=') {
+          start = Math.max(start, this.lowerBound(sorted.entries, value, predicate.operator === '>='));
+        } else {
+          end = Math.min(end, this.lowerBound(sorted.entries, value, predicate.operator === '>'));
+        }
+      }
+      return sorted.entries.slice(start, Math.max(start, end)).map(entry => entry.row);
+    } catch (error) {
+      // 値を評価できない場合は全件走査に任せる
+      return null;
+    }
+  }
+
+  /**
+   * Convert a value compared with an indexed column the way the comparison
+   * itself would: text becomes a number for numeric columns and canonical
+   * date text for DATE / DATETIME columns
+   * @private
+   */
+  indexProbeValue(tableName, column, value) {
+    if (typeof value !== 'string') return value;
+    const affinity = this.columnAffinity(tableName, column);
+    if (!['INTEGER', 'REAL', 'NUMERIC', 'DATE', 'DATETIME'].includes(affinity)) return value;
+    const converted = this.convertValue(value, affinity === 'INTEGER' || affinity === 'REAL' ? 'NUMERIC' : affinity);
+    return converted === undefined ? value : converted;
+  }
+
+  /**
+   * Split an expression into its top-level AND terms
+   * @private
+   */
+  splitConjuncts(node) {
+    if (node.type === 'logical' && node.operator === 'AND') {
+      return this.splitConjuncts(node.left).concat(this.splitConjuncts(node.right));
+    }
+    return [node];
+  }
+
+  /**
+   * Describe what an index on the table could answer for one WHERE term
+   * @private
+   * @returns {array} Predicates ({ column, kind: 'eq'|'in'|'range', value, values, operator })
+   */
+  indexablePredicates(node, tableName, sourceName) {
+    const columns = Object.keys(this.tables[tableName].columns);
+    const isLocal = expr => expr.type === 'column' &&
+      (!expr.table || expr.table === sourceName) && columns.includes(expr.name);
+    const isConstant = expr => this.isConstantFor(expr, sourceName);
+
+    if (node.type === 'comparison' && node.operator !== '!=') {
+      let { left, right, operator } = node;
+      if (!isLocal(left) && isLocal(right)) {
+        // 5 < col は col > 5 として扱う
+        [left, right] = [right, left];
+        operator = { '<': '>', '>': '<', '<=': '>=', '>=': '<=', '=': '=' }[operator];
+      }
+      if (!isLocal(left) || !isConstant(right)) return [];
+      return operator === '='
+        ? [{ column: left.name, kind: 'eq', value: right }]
+        : [{ column: left.name, kind: 'range', operator: operator, value: right }];
+    }
+
+    if (node.type === 'in' && !node.not && !node.query && isLocal(node.expr) && node.values.every(isConstant)) {
+      return [{ column: node.expr.name, kind: 'in', values: node.values }];
+    }
+
+    if (node.type === 'between' && !node.not && isLocal(node.expr) && isConstant(node.low) && isConstant(node.high)) {
+      // BETWEEN は >= と <= の2つの条件として扱う
+      return [
+        { column: node.expr.name, kind: 'range', operator: '>=', value: node.low },
+        { column: node.expr.name, kind: 'range', operator: '<=', value: node.high }
+      ];
+    }
+
+    return [];
+  }
+
+  /**
+   * Whether an expression has the same value for every row of a source:
+   * literals, parameters, columns of other (outer) sources and scalar
+   * functions of those.
+   * @private
+   */
+  isConstantFor(node, sourceName) {
+    switch (node.type) {
+      case 'literal':
+      case 'parameter':
+        return true;
+      case 'column':
+        return Boolean(node.table) && node.table !== sourceName;
+      case 'function':
+        return !this.isAggregateFunction(node.name) && !node.star &&
+          node.args.every(arg => this.isConstantFor(arg, sourceName));
+      case 'cast':
+        return this.isConstantFor(node.expr, sourceName);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Execute INSERT statement
+   * @private
+   * @param {object} statement - The insert AST node
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {object} Result object
+   */
+  insert(statement, outer = null) {
+    const tableName = statement.table;
+    this.assertTableExists(tableName);
+
+    const tableColumns = Object.keys(this.tables[tableName].columns);
+    const columns = statement.columns || tableColumns;
+    columns.forEach(col => this.assertColumnExists(tableName, col));
+
+    const upsert = statement.upsert;
+    if (upsert) {
+      upsert.assignments.forEach(({ column }) => this.assertColumnExists(tableName, column));
+      if (upsert.target && !this.getIndexDefinitions(tableName).some(d => d.unique && this.sameColumns(d.columns, upsert.target))) {
+        throw new Error('ON CONFLICT clause does not match any PRIMARY KEY or UNIQUE constraint');
+      }
+    }
+
+    // 挿入する値の組（INSERT ... SELECT は先にすべての行を求める）
+    let valueRows;
+    if (statement.query) {
+      const result = this.runQuery(statement.query, outer);
+      if (result.columns.length !== columns.length) {
+        throw new Error(`${result.columns.length} values for ${columns.length} columns`);
+      }
+      valueRows = result.rows.map(row => result.columns.map(col => (row[col] === undefined ? null : row[col])));
+    } else {
+      const env = this.createEnv([], {}, outer);
+      valueRows = statement.rows.map(values => {
+        if (values.length !== columns.length) {
+          throw new Error(`${values.length} values for ${columns.length} columns`);
+        }
+        return values.map(value => this.evaluateExpression(value, env));
+      });
+    }
+
+    const data = this.getTableData(tableName);
+    const changes = { added: [], removed: [], replacements: new Map() };
+    let inserted = 0;
+    let updated = 0;
+    let lastInsertRowid = null;
+    let maxRowid = null;
+
+    // 1行ずつインデックスに反映して重複を調べ、最後に一度だけ保存する
+    try {
+      valueRows.forEach(values => {
+        // 省略されたカラムにはDEFAULT値（なければNULL）を入れる
+        let row = {};
+        tableColumns.forEach(col => {
+          const index = columns.indexOf(col);
+          row[col] = index >= 0 ? values[index] : this.defaultValue(tableName, col, outer);
+        });
+        row = this.applyAffinity(tableName, row);
+        const rowid = this.assignRowid(tableName, row, data);
+
+        try {
+          this.checkConstraints(tableName, row);
+        } catch (error) {
+          if (statement.conflict === 'IGNORE' && error instanceof ConstraintError) return;
+          throw error;
+        }
+
+        const removed = [];
+        const conflicts = this.findConflicts(tableName, row);
+        if (conflicts.length > 0) {
+          const handled = upsert && conflicts.find(c => !upsert.target || this.sameColumns(c.definition.columns, upsert.target));
+          if (handled) {
+            const existing = handled.rows[0];
+            const replacement = upsert.action === 'update' &&
+              this.upsertRow(tableName, statement.alias || tableName, upsert, existing, row, data, outer);
+            if (replacement) {
+              changes.removed.push(existing);
+              changes.added.push(replacement);
+              changes.replacements.set(existing, replacement);
+              updated++;
+            }
+            return;
+          }
+          if (statement.conflict === 'IGNORE') return;
+          if (statement.conflict !== 'REPLACE') {
+            throw this.uniqueError(tableName, conflicts[0].definition);
+          }
+          // REPLACE は重複する行を削除してから挿入する
+          conflicts.forEach(conflict => conflict.rows.forEach(existing => {
+            if (!removed.includes(existing)) removed.push(existing);
+          }));
+          removed.forEach(existing => data.splice(data.indexOf(existing), 1));
+        }
+
+        data.push(row);
+        this.updateIndexes(tableName, { added: [row], removed: removed });
+        changes.added.push(row);
+        changes.removed.push(...removed);
+        inserted++;
+        lastInsertRowid = rowid;
+        if (maxRowid === null || rowid > maxRowid) maxRowid = rowid;
+      });
+    } catch (error) {
+      this.indexCache.delete(tableName);
+      throw error;
+    }
+
+    if (inserted > 0 || updated > 0) {
+      this.writeTableData(tableName, data);
+      // REPLACE で削除された行・挿入された行・ON CONFLICT DO UPDATE で更新された行を分けて通知する
+      const updatedRows = new Set(changes.replacements.values());
+      this.recordChange(tableName, 'delete', changes.removed.filter(row => !changes.replacements.has(row)));
+      this.recordChange(tableName, 'insert', changes.added.filter(row => !updatedRows.has(row)));
+      this.recordChange(tableName, 'update', Array.from(updatedRows));
+      this.checkForeignKeys(tableName, changes);
+    }
+    if (maxRowid !== null) {
+      this.updateSequence(tableName, maxRowid);
+    }
+
+    const message = `${inserted} ${inserted === 1 ? 'row' : 'rows'} inserted into ${tableName}` +
+      (updated > 0 ? `, ${updated} updated` : '');
+    return { success: true, message: message, lastInsertRowid: lastInsertRowid, changes: inserted + updated };
+  }
+
+  /**
+   * Apply ON CONFLICT DO UPDATE to the row that blocked an insert.
+   * excluded.col refers to the value that was being inserted.
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {string} sourceName - Name the existing row is referred to by (the table or its alias)
+   * @param {object} upsert - The upsert clause
+   * @param {object} existing - The conflicting row
+   * @param {object} excluded - The row that was being inserted
+   * @param {array} data - The table data (modified)
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {object|null} The updated row (null if WHERE excluded it)
+   */
+  upsertRow(tableName, sourceName, upsert, existing, excluded, data, outer) {
+    const columns = Object.keys(this.tables[tableName].columns);
+    const excludedEnv = this.createEnv([{ name: 'excluded', table: tableName, columns: columns }], { excluded: excluded }, outer);
+    const env = this.createEnv([{ name: sourceName, table: tableName, columns: columns }], { [sourceName]: existing }, excludedEnv);
+
+    if (upsert.where && !this.evaluateCondition(upsert.where, env)) {
+      return null;
+    }
+
+    const updates = {};
+    upsert.assignments.forEach(({ column, value }) => {
+      updates[column] = this.evaluateExpression(value, env);
+    });
+    const updated = this.applyAffinity(tableName, Object.assign({}, existing, updates));
+    this.checkConstraints(tableName, updated);
+
+    const conflict = this.findConflicts(tableName, updated).find(c => c.rows.some(row => row !== existing));
+    if (conflict) {
+      throw this.uniqueError(tableName, conflict.definition);
+    }
+
+    data[data.indexOf(existing)] = updated;
+    this.updateIndexes(tableName, { added: [updated], removed: [existing] });
+    return updated;
+  }
+
+  /**
+   * Whether two column lists name the same columns in any order
+   * @private
+   */
+  sameColumns(a, b) {
+    return a.length === b.length && a.every(col => b.includes(col));
+  }
+
+  /**
+   * Execute SELECT statement
+   * @private
+   * @param {object} statement - The select or compound AST node
+   * @param {object} outer - Enclosing evaluation environment for subqueries
+   * @returns {array} Query result
+   */
+  select(statement, outer = null) {
+    return this.runQuery(statement, outer).rows;
+  }
+
+  /**
+   * Run a SELECT or compound query
+   * @private
+   * @param {object} statement - The select or compound AST node
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {object} { columns, rows }
+   */
+  runQuery(statement, outer) {
+    if (statement.with) {
+      outer = this.withEnv(statement.with, outer, this.scanLimit(statement, outer));
+    }
+    if (statement.type === 'compound') {
+      return this.runCompound(statement, outer);
+    }
+    return this.runSelect(statement, outer);
+  }
+
+  /**
+   * Run a single SELECT
+   * @private
+   * @param {object} statement - The select AST node
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {object} { columns, rows }
+   */
+  runSelect(statement, outer) {
+    const sources = [];
+    const tuples = statement.from ? this.scanFrom(statement.from, sources, outer, statement.where) : [{}];
+    let envs = tuples.map(tuple => this.createEnv(sources, tuple, outer));
+
+    // WHERE句の処理
+    if (statement.where) {
+      envs = envs.filter(env => this.evaluateCondition(statement.where, env));
+    }
+
+    // GROUP BY・集計関数の処理（GROUP BYがなければ全行を1グループとする）
+    const aggregated = statement.groupBy.length > 0 ||
+      this.containsAggregate([statement.columns, statement.having, statement.orderBy]);
+    if (aggregated) {
+      envs = this.groupBy(envs, statement, sources, outer);
+    }
+
+    // ウィンドウ関数の処理（DISTINCT・ORDER BY・LIMITより前）
+    const windowFunctions = this.findWindowFunctions([statement.columns, statement.orderBy]);
+    if (windowFunctions.length > 0) {
+      this.evaluateWindows(envs, windowFunctions);
+    }
+
+    // カラム選択の処理
+    let items = envs.map(env => ({ env: env, row: this.projectRow(statement.columns, env) }));
+
+    // DISTINCT の処理
+    if (statement.distinct) {
+      items = this.applyDistinct(items);
+    }
+
+    // ORDER BY の処理
+    if (statement.orderBy.length > 0) {
+      items = this.orderBy(items, statement.orderBy);
+    }
+
+    // LIMIT, OFFSET の処理
+    if (statement.limit) {
+      items = this.applyLimit(items, statement.limit, statement.offset, outer);
+    }
+
+    return {
+      columns: this.resultColumnNames(statement.columns, sources),
+      rows: items.map(item => item.row)
+    };
+  }
+
+  /**
+   * Run a compound query (UNION, UNION ALL, INTERSECT, EXCEPT) and apply its
+   * ORDER BY and LIMIT to the combined rows
+   * @private
+   * @param {object} statement - The compound AST node
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {object} { columns, rows }
+   */
+  runCompound(statement, outer) {
+    const left = this.runQuery(statement.left, outer);
+    const right = this.runQuery(statement.right, outer);
+
+    if (left.columns.length !== right.columns.length) {
+      throw new Error(`SELECTs to the left and right of ${statement.operator} do not have the same number of result columns`);
+    }
+
+    // 右側の行は位置で左側のカラム名に合わせる
+    const rightRows = right.rows.map(row => {
+      const renamed = {};
+      left.columns.forEach((col, index) => {
+        const value = row[right.columns[index]];
+        renamed[col] = value === undefined ? null : value;
+      });
+      return renamed;
+    });
+
+    const rowKey = row => JSON.stringify(left.columns.map(col => row[col]));
+    let rows;
+    switch (statement.operator) {
+      case 'UNION ALL':
+        rows = left.rows.concat(rightRows);
+        break;
+      case 'UNION':
+        rows = this.applyDistinct(left.rows.concat(rightRows).map(row => ({ env: null, row: row })))
+          .map(item => item.row);
+        break;
+      default: {
+        // INTERSECT は両方にある行、EXCEPT は左側にだけある行（重複は除く）
+        const rightKeys = new Set(rightRows.map(rowKey));
+        const keep = statement.operator === 'INTERSECT';
+        rows = this.applyDistinct(left.rows.map(row => ({ env: null, row: row })))
+          .map(item => item.row)
+          .filter(row => rightKeys.has(rowKey(row)) === keep);
+      }
+    }
+
+    let items = rows.map(row => ({ env: null, row: row }));
+    if (statement.orderBy.length > 0) {
+      items = this.orderBy(items, statement.orderBy);
+    }
+    if (statement.limit) {
+      items = this.applyLimit(items, statement.limit, statement.offset, outer);
+    }
+
+    return { columns: left.columns, rows: items.map(item => item.row) };
+  }
+
+  /**
+   * When a SELECT only reads the first rows of its single FROM table
+   * (no WHERE, grouping, DISTINCT or ORDER BY, and a constant LIMIT), the
+   * number of rows it reads, so a recursive table can stop there
+   * @private
+   * @param {object} statement - The select or compound AST node
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {object|null} { table, rows } or null
+   */
+  scanLimit(statement, outer) {
+    const from = statement.from;
+    if (statement.type !== 'select' || !statement.limit || !from || from.type !== 'table' ||
+        statement.where || statement.groupBy.length > 0 || statement.having || statement.distinct ||
+        statement.orderBy.length > 0 || this.containsAggregate(statement.columns) ||
+        this.findWindowFunctions(statement.columns).length > 0 || this.referencesTable(statement.columns, from.name)) {
+      return null;
+    }
+    const sourceName = from.alias || from.name;
+    if (![statement.limit, statement.offset].every(node => !node || this.isConstantFor(node, sourceName))) {
+      return null;
+    }
+    return { table: from.name, rows: this.limitRange(statement.limit, statement.offset, outer).end };
+  }
+
+  /**
+   * Evaluate the common table expressions of a WITH clause in memory.
+   * Each one can refer to those before it, and to itself with RECURSIVE.
+   * @private
+   * @param {object} withClause - { recursive, ctes }
+   * @param {object} outer - Enclosing evaluation environment
+   * @param {object} scan - { table, rows } from scanLimit() (optional)
+   * @returns {object} Environment whose ctes map holds { columns, rows } by name
+   */
+  withEnv(withClause, outer, scan = null) {
+    const env = this.createEnv([], {}, outer);
+    env.ctes = new Map();
+
+    withClause.ctes.forEach(cte => {
+      // 本体のクエリが先頭の行だけを読み、ほかのWITH句から参照されない場合は必要な行数で再帰を止める
+      const needed = scan && scan.table === cte.name &&
+        withClause.ctes.every(other => other === cte || !this.referencesTable(other.query, cte.name))
+        ? scan.rows
+        : Infinity;
+      const result = withClause.recursive && this.referencesTable(cte.query, cte.name)
+        ? this.runRecursiveCte(cte, env, needed)
+        : this.cteResult(cte, this.runQuery(cte.query, env));
+      env.ctes.set(cte.name, result);
+    });
+
+    return env;
+  }
+
+  /**
+   * Evaluate a recursive common table expression: the initial SELECT, then
+   * the recursive SELECT repeatedly over the rows added by the previous step
+   * until it adds no rows. UNION drops rows that were already produced.
+   * @private
+   * @param {object} cte - { name, columns, query }
+   * @param {object} env - Environment of the WITH clause
+   * @param {number} needed - Rows the statement reads from the table (stop once they exist)
+   * @returns {object} { columns, rows }
+   */
+  runRecursiveCte(cte, env, needed = Infinity) {
+    const query = cte.query;
+    if (query.type !== 'compound' || !['UNION', 'UNION ALL'].includes(query.operator) ||
+        this.referencesTable(query.left, cte.name)) {
+      throw new Error(`Recursive table ${cte.name} must be written as initial-select UNION [ALL] recursive-select`);
+    }
+    if (query.orderBy.length > 0) {
+      throw new Error(`ORDER BY is not supported in recursive table ${cte.name}`);
+    }
+
+    const initial = this.cteResult(cte, this.runQuery(query.left, env));
+    const columns = initial.columns;
+    const seen = new Set();
+    const fresh = rows => rows.filter(row => {
+      if (query.operator !== 'UNION') return true;
+      const key = JSON.stringify(Object.values(row));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    // LIMITがあれば必要な行数に達した時点で再帰を止める
+    const { start, end } = query.limit
+      ? this.limitRange(query.limit, query.offset, env)
+      : { start: 0, end: Infinity };
+    const stop = Math.min(end, start + needed);
+
+    const rows = [];
+    let added = fresh(initial.rows);
+    while (added.length > 0 && rows.length < stop) {
+      added.forEach(row => rows.push(row));
+      if (rows.length > MAX_RECURSIVE_ROWS) {
+        throw new Error(`Recursive table ${cte.name} produced more than ${MAX_RECURSIVE_ROWS} rows: ` +
+          'add a LIMIT or a condition that ends the recursion');
+      }
+      // 再帰部分からは直前のステップで追加された行だけが見える
+      env.ctes.set(cte.name, { columns: columns, rows: added });
+      added = fresh(this.cteResult({ name: cte.name, columns: columns }, this.runQuery(query.right, env)).rows);
+    }
+
+    return { columns: columns, rows: rows.slice(start, end) };
+  }
+
+  /**
+   * Name the columns of a common table expression's result
+   * @private
+   * @param {object} cte - { name, columns }
+   * @param {object} result - { columns, rows } of its query
+   * @returns {object} { columns, rows }
+   */
+  cteResult(cte, result) {
+    if (!cte.columns) return result;
+
+    if (cte.columns.length !== result.columns.length) {
+      throw new Error(`Table ${cte.name} has ${result.columns.length} values for ${cte.columns.length} columns`);
+    }
+
+    // 位置でWITH句のカラム名に合わせる
+    const rows = result.rows.map(row => {
+      const renamed = {};
+      cte.columns.forEach((col, index) => {
+        const value = row[result.columns[index]];
+        renamed[col] = value === undefined ? null : value;
+      });
+      return renamed;
+    });
+    return { columns: cte.columns, rows: rows };
+  }
+
+  /**
+   * Look up a common table expression in the environment chain
+   * @private
+   * @param {string} name - Table name
+   * @param {object} env - Evaluation environment
+   * @returns {object|null} { columns, rows } or null
+   */
+  findCte(name, env) {
+    for (let scope = env; scope; scope = scope.outer) {
+      if (scope.ctes && scope.ctes.has(name)) {
+        return scope.ctes.get(name);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an AST fragment (including its subqueries) reads the named table
+   * @private
+   * @param {*} node - AST node, array of nodes or null
+   * @param {string} name - Table name
+   * @returns {boolean} True if a table node with the name was found
+   */
+  referencesTable(node, name) {
+    if (!node || typeof node !== 'object') return false;
+    if (Array.isArray(node)) return node.some(child => this.referencesTable(child, name));
+    if (node.type === 'table' && node.name === name) return true;
+    return Object.keys(node).some(key => this.referencesTable(node[key], name));
+  }
+
+  /**
+   * Produce the joined rows of a FROM clause
+   * @private
+   * @param {object} node - table, subquery or join node
+   * @param {array} sources - Receives { name, columns } for each source in scope
+   * @param {object} outer - Enclosing evaluation environment
+   * @param {object} where - WHERE expression used to pick rows through an index
+   *   when the FROM clause is a single table
+   * @returns {array} Tuples mapping source name to row
+   */
+  scanFrom(node, sources, outer, where = null) {
+    if (node.type === 'table') {
+      // WITH句のテーブルは同名のテーブルより優先する
+      const cte = this.findCte(node.name, outer);
+      if (cte) {
+        const name = node.alias || node.name;
+        this.addSource(sources, { name: name, columns: cte.columns });
+        return cte.rows.map(row => ({ [name]: row }));
+      }
+
+      this.assertTableExists(node.name);
+      const name = node.alias || node.name;
+      this.addSource(sources, { name: name, table: node.name, columns: Object.keys(this.tables[node.name].columns) });
+      const rows = this.indexLookup(node.name, name, where, outer) || this.getTableData(node.name);
+      return rows.map(row => ({ [name]: row }));
+    }
+
+    if (node.type === 'subquery') {
+      // 派生テーブル（FROM句内のサブクエリ）はメモリ上で評価する
+      const result = this.runQuery(node.query, outer);
+      this.addSource(sources, { name: node.alias, columns: result.columns });
+      return result.rows.map(row => ({ [node.alias]: row }));
+    }
+
+    const leftStart = sources.length;
+    const leftTuples = this.scanFrom(node.left, sources, outer);
+    const rightStart = sources.length;
+    const rightTuples = this.scanFrom(node.right, sources, outer);
+
+    const leftNames = sources.slice(leftStart, rightStart).map(source => source.name);
+    const rightNames = sources.slice(rightStart).map(source => source.name);
+    const join = this.resolveUsing(node, sources.slice(leftStart, rightStart), sources.slice(rightStart));
+
+    return this.performJoin(leftTuples, rightTuples, leftNames, rightNames, join, sources, outer);
+  }
+
+  /**
+   * Add a FROM source, rejecting a name that is already in use
+   * @private
+   */
+  addSource(sources, source) {
+    if (sources.some(other => other.name === source.name)) {
+      throw new Error(`Ambiguous table name ${source.name}: give each use of the table a different alias`);
+    }
+    sources.push(source);
+  }
+
+  /**
+   * Turn USING (cols) or NATURAL into an ON condition.
+   * The right side's copy of each shared column is hidden from unqualified
+   * references and SELECT *, which use the left column instead (or the
+   * right one when the left side is padded with NULLs).
+   * @private
+   * @param {object} join - The join AST node
+   * @param {array} leftSources - Sources of the left side
+   * @param {array} rightSources - Sources of the right side
+   * @returns {object} The join node with ON filled in
+   */
+  resolveUsing(join, leftSources, rightSources) {
+    if (!join.using && !join.natural) return join;
+
+    const visible = (source, col) => source.columns.includes(col) && !(source.hiddenColumns && source.hiddenColumns.has(col));
+    let columns = join.using;
+    if (join.natural) {
+      // NATURAL JOIN は両側にある同名のカラムすべてで結合する
+      columns = [];
+      leftSources.forEach(left => left.columns.forEach(col => {
+        if (visible(left, col) && !columns.includes(col) && rightSources.some(right => visible(right, col))) {
+          columns.push(col);
+        }
+      }));
+    }
+
+    let on = null;
+    columns.forEach(col => {
+      const left = leftSources.find(source => visible(source, col));
+      const right = rightSources.find(source => visible(source, col));
+      if (!left || !right) {
+        throw new Error(`Cannot join using column ${col}: it is not present on both sides`);
+      }
+      right.hiddenColumns = right.hiddenColumns || new Set();
+      right.hiddenColumns.add(col);
+      left.coalesceColumns = left.coalesceColumns || {};
+      left.coalesceColumns[col] = (left.coalesceColumns[col] || []).concat([right.name]);
+
+      const term = {
+        type: 'comparison',
+        operator: '=',
+        left: { type: 'column', table: left.name, name: col },
+        right: { type: 'column', table: right.name, name: col }
+      };
+      on = on ? { type: 'logical', operator: 'AND', left: on, right: term } : term;
+    });
+
+    return Object.assign({}, join, { on: on });
+  }
+
+  /**
+   * Perform the actual JOIN operation
+   * @private
+   * @param {array} leftTuples - Left side tuples
+   * @param {array} rightTuples - Right side tuples
+   * @param {array} leftNames - Source names on the left side
+   * @param {array} rightNames - Source names on the right side
+   * @param {object} join - The join AST node
+   * @param {array} sources - All sources in scope
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {array} Joined tuples
+   */
+  performJoin(leftTuples, rightTuples, leftNames, rightNames, join, sources, outer) {
+    const result = [];
+    const matches = tuple => !join.on || this.evaluateCondition(join.on, this.createEnv(sources, tuple, outer));
+    const nullTuple = names => {
+      const tuple = {};
+      names.forEach(name => {
+        tuple[name] = null;
+      });
+      return tuple;
+    };
+
+    if (join.joinType === 'RIGHT') {
+      const lookup = this.joinLookup(join, rightNames, leftNames, join.left, leftTuples, sources, outer);
+      for (let right of rightTuples) {
+        let matched = false;
+        for (let left of (lookup ? lookup(right) : leftTuples)) {
+          const tuple = Object.assign({}, left, right);
+          if (matches(tuple)) {
+            result.push(tuple);
+            matched = true;
+          }
+        }
+        if (!matched) {
+          result.push(Object.assign(nullTuple(leftNames), right));
+        }
+      }
+      return result;
+    }
+
+    // FULL JOIN は一致しなかった右側の行も出力するため、右側の行そのものを候補にする
+    const full = join.joinType === 'FULL';
+    const lookup = this.joinLookup(join, leftNames, rightNames, full ? null : join.right, rightTuples, sources, outer);
+    const matchedRight = new Set();
+    for (let left of leftTuples) {
+      let matched = false;
+      for (let right of (lookup ? lookup(left) : rightTuples)) {
+        const tuple = Object.assign({}, left, right);
+        if (matches(tuple)) {
+          result.push(tuple);
+          matched = true;
+          if (full) matchedRight.add(right);
+        }
+      }
+      if (!matched && (join.joinType === 'LEFT' || full)) {
+        result.push(Object.assign({}, left, nullTuple(rightNames)));
+      }
+    }
+
+    if (full) {
+      rightTuples.filter(right => !matchedRight.has(right)).forEach(right => {
+        result.push(Object.assign(nullTuple(leftNames), right));
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Build a lookup for an equality term of the ON clause (such as
+   * a.id = b.a_id) so each row only meets rows with the same key.
+   * An index on the joined table is used when there is one; otherwise the
+   * rows are hashed once. ON must still be applied to the candidates.
+   * @private
+   * @param {object} join - The join AST node
+   * @param {array} probeNames - Sources of the side that is iterated
+   * @param {array} buildNames - Sources of the side that is looked up
+   * @param {object} buildNode - FROM node of the looked-up side (null: do not use its indexes)
+   * @param {array} buildTuples - Tuples of the looked-up side
+   * @param {array} sources - All sources in scope
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {function|null} Probe tuple => candidate tuples, or null
+   */
+  joinLookup(join, probeNames, buildNames, buildNode, buildTuples, sources, outer) {
+    if (!join.on) return null;
+
+    // カラムがどのソースに属するかをスキーマから判定する
+    const owner = expr => {
+      if (expr.table) return sources.some(source => source.name === expr.table) ? expr.table : null;
+      const found = sources.filter(source =>
+        source.columns.includes(expr.name) && !(source.hiddenColumns && source.hiddenColumns.has(expr.name)));
+      return found.length === 1 ? found[0].name : null;
+    };
+    const onlyFrom = (expr, names) => {
+      switch (expr.type) {
+        case 'literal':
+        case 'parameter':
+          return true;
+        case 'column':
+          return names.includes(owner(expr));
+        case 'function':
+          return !this.isAggregateFunction(expr.name) && !expr.star && expr.args.every(arg => onlyFrom(arg, names));
+        default:
+          return false;
+      }
+    };
+
+    let buildExpr = null;
+    let probeExpr = null;
+    for (let term of this.splitConjuncts(join.on)) {
+      if (term.type !== 'comparison' || term.operator !== '=') continue;
+      for (let [a, b] of [[term.left, term.right], [term.right, term.left]]) {
+        if (!buildExpr && a.type === 'column' && buildNames.includes(owner(a)) && onlyFrom(b, probeNames)) {
+          buildExpr = a;
+          probeExpr = b;
+        }
+      }
+    }
+    if (!buildExpr) return null;
+
+    const keyOf = value => (value === null ? null : this.indexKey(value));
+    const probeKey = tuple => keyOf(this.evaluateExpression(probeExpr, this.createEnv(sources, tuple, outer)));
+
+    const definition = buildNode && buildNode.type === 'table' && !this.findCte(buildNode.name, outer)
+      ? this.getIndexDefinitions(buildNode.name).find(d => d.columns.length === 1 && d.columns[0] === buildExpr.name)
+      : null;
+    if (definition) {
+      const index = this.loadIndex(buildNode.name, definition);
+      const name = buildNode.alias || buildNode.name;
+      return tuple => (index.entries.get(probeKey(tuple)) || []).map(row => ({ [name]: row }));
+    }
+
+    const buckets = new Map();
+    buildTuples.forEach(tuple => {
+      const key = keyOf(this.evaluateExpression(buildExpr, this.createEnv(sources, tuple, outer)));
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(tuple);
+    });
+    return tuple => buckets.get(probeKey(tuple)) || [];
+  }
+
+  /**
+   * Create an evaluation environment for one row
+   * @private
+   * @param {array} sources - Sources in scope ({ name, columns })
+   * @param {object} tuple - Map of source name to row (null for padded rows)
+   * @param {object} outer - Enclosing environment (for correlated subqueries)
+   * @param {array} group - Member environments when this is a group row
+   * @returns {object} The environment
+   */
+  createEnv(sources, tuple, outer, group = null) {
+    return { sources: sources, tuple: tuple, outer: outer, group: group };
+  }
+
+  /**
+   * Check whether an AST fragment calls an aggregate function.
+   * Subqueries are not searched since they aggregate on their own.
+   * @private
+   * @param {*} node - AST node, array of nodes or null
+   * @returns {boolean} True if an aggregate call was found
+   */
+  containsAggregate(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (Array.isArray(node)) return node.some(child => this.containsAggregate(child));
+    if (node.type === 'function' && this.isAggregateFunction(node.name) && !node.over) return true;
+    return Object.keys(node).some(key => key !== 'query' && this.containsAggregate(node[key]));
+  }
+
+  /**
+   * Whether a function name is a built-in or registered aggregate
+   * @private
+   */
+  isAggregateFunction(name) {
+    return AGGREGATE_FUNCTIONS.has(name) || this.aggregates.has(name);
+  }
+
+  /**
+   * Collect the window function calls (function nodes with OVER) of an AST
+   * fragment. Subqueries are not searched.
+   * @private
+   * @param {*} node - AST node, array of nodes or null
+   * @param {array} found - Receives the window function nodes
+   * @returns {array} The window function nodes
+   */
+  findWindowFunctions(node, found = []) {
+    if (!node || typeof node !== 'object') return found;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.findWindowFunctions(child, found));
+    } else if (node.type === 'function' && node.over) {
+      if (!found.includes(node)) found.push(node);
+    } else {
+      Object.keys(node).forEach(key => {
+        if (key !== 'query') this.findWindowFunctions(node[key], found);
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Compute window functions for every row and store the results in each
+   * environment's windows map, where evaluateFunction() picks them up
+   * @private
+   * @param {array} envs - Row (or group) environments after WHERE, GROUP BY and HAVING
+   * @param {array} nodes - Window function nodes
+   */
+  evaluateWindows(envs, nodes) {
+    nodes.forEach(node => {
+      if (!WINDOW_FUNCTIONS.has(node.name) && !this.isAggregateFunction(node.name)) {
+        throw new Error(`${node.name}() may not be used as a window function`);
+      }
+      if (node.distinct) {
+        throw new Error(`DISTINCT is not supported for window function ${node.name}()`);
+      }
+
+      // PARTITION BY で行を分割し、各パーティションを ORDER BY で並べる
+      const window = node.over;
+      const partitions = new Map();
+      envs.forEach(env => {
+        const key = JSON.stringify(window.partitionBy.map(expr => this.evaluateExpression(expr, env)));
+        if (!partitions.has(key)) {
+          partitions.set(key, []);
+        }
+        partitions.get(key).push({ env: env, keys: window.orderBy.map(term => this.evaluateExpression(term.expr, env)) });
+      });
+
+      partitions.forEach(rows => {
+        rows.sort((a, b) => this.compareSortKeys(a.keys, b.keys, window.orderBy));
+        this.windowPartitionValues(node, rows).forEach((value, index) => {
+          const env = rows[index].env;
+          if (!env.windows) {
+            env.windows = new Map();
+          }
+          env.windows.set(node, value);
+        });
+      });
+    });
+  }
+
+  /**
+   * Values of a window function for the sorted rows of one partition
+   * @private
+   * @param {object} node - Window function node
+   * @param {array} rows - Sorted { env, keys } entries of the partition
+   * @returns {array} One value per row
+   */
+  windowPartitionValues(node, rows) {
+    const expectArgs = (min, max = min) => {
+      if (node.args.length < min || node.args.length > max) {
+        throw new Error(`Wrong number of arguments to function ${node.name}()`);
+      }
+    };
+
+    // ORDER BY の値が等しい行（ピア）の範囲
+    const peerStart = [];
+    const peerEnd = [];
+    rows.forEach((row, i) => {
+      const peer = i > 0 && this.compareSortKeys(rows[i - 1].keys, row.keys, node.over.orderBy) === 0;
+      peerStart[i] = peer ? peerStart[i - 1] : i;
+    });
+    for (let i = rows.length - 1; i >= 0; i--) {
+      peerEnd[i] = i < rows.length - 1 && peerStart[i + 1] === peerStart[i] ? peerEnd[i + 1] : i;
+    }
+
+    switch (node.name) {
+      case 'ROW_NUMBER':
+        expectArgs(0);
+        return rows.map((row, i) => i + 1);
+
+      case 'RANK':
+        expectArgs(0);
+        return rows.map((row, i) => peerStart[i] + 1);
+
+      case 'DENSE_RANK': {
+        expectArgs(0);
+        let rank = 0;
+        return rows.map((row, i) => (peerStart[i] === i ? ++rank : rank));
+      }
+
+      case 'NTILE': {
+        expectArgs(1);
+        // 端数は先頭のバケットから1行ずつ多く割り当てる
+        return rows.map((row, i) => {
+          const buckets = this.evaluateExpression(node.args[0], row.env);
+          if (!Number.isInteger(buckets) || buckets <= 0) {
+            throw new Error('Argument of NTILE must be a positive integer');
+          }
+          const size = Math.floor(rows.length / buckets);
+          const larger = rows.length % buckets;
+          const boundary = larger * (size + 1);
+          return i < boundary ? Math.floor(i / (size + 1)) + 1 : larger + Math.floor((i - boundary) / size) + 1;
+        });
+      }
+
+      case 'LAG':
+      case 'LEAD': {
+        expectArgs(1, 3);
+        return rows.map((row, i) => {
+          const offset = node.args.length > 1 ? this.evaluateExpression(node.args[1], row.env) : 1;
+          if (!Number.isInteger(offset)) {
+            throw new Error(`Offset of ${node.name} must be an integer`);
+          }
+          const target = rows[node.name === 'LAG' ? i - offset : i + offset];
+          if (target) {
+            return this.evaluateExpression(node.args[0], target.env);
+          }
+          return node.args.length > 2 ? this.evaluateExpression(node.args[2], row.env) : null;
+        });
+      }
+
+      case 'FIRST_VALUE':
+      case 'LAST_VALUE': {
+        expectArgs(1);
+        return rows.map((row, i) => {
+          const [start, end] = this.windowFrame(node.over, rows, i, peerStart, peerEnd);
+          if (start > end) return null;
+          return this.evaluateExpression(node.args[0], rows[node.name === 'FIRST_VALUE' ? start : end].env);
+        });
+      }
+
+      default: {
+        // 集計関数はフレーム内の行をグループとして計算する（同じフレームは再利用）
+        const aggregate = Object.assign({}, node, { over: null });
+        let previous = null;
+        return rows.map((row, i) => {
+          const [start, end] = this.windowFrame(node.over, rows, i, peerStart, peerEnd);
+          if (!previous || previous.start !== start || previous.end !== end) {
+            const members = rows.slice(start, end + 1).map(member => member.env);
+            const env = this.createEnv(row.env.sources, row.env.tuple, row.env.outer, members);
+            previous = { start: start, end: end, value: this.evaluateAggregate(aggregate, env) };
+          }
+          return previous.value;
+        });
+      }
+    }
+  }
+
+  /**
+   * Row range of the window frame for the i-th row of a partition. Without a
+   * frame clause the frame runs from the start of the partition to the last
+   * peer of the current row (the whole partition when there is no ORDER BY).
+   * @private
+   * @param {object} window - Window specification
+   * @param {array} rows - Sorted rows of the partition
+   * @param {number} i - Index of the current row
+   * @param {array} peerStart - Index of the first peer of each row
+   * @param {array} peerEnd - Index of the last peer of each row
+   * @returns {array} [start, end] indexes, start > end for an empty frame
+   */
+  windowFrame(window, rows, i, peerStart, peerEnd) {
+    const frame = window.frame || {
+      units: 'RANGE',
+      start: { type: 'unboundedPreceding', offset: null },
+      end: { type: 'current', offset: null }
+    };
+
+    const position = (bound, isStart) => {
+      switch (bound.type) {
+        case 'unboundedPreceding':
+          return 0;
+        case 'unboundedFollowing':
+          return rows.length - 1;
+        case 'current':
+          if (frame.units === 'ROWS') return i;
+          return isStart ? peerStart[i] : peerEnd[i];
+        default: {
+          const offset = this.evaluateExpression(bound.offset, rows[i].env);
+          if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error('Frame offset must be a non-negative integer');
+          }
+          return bound.type === 'preceding' ? i - offset : i + offset;
+        }
+      }
+    };
+
+    return [Math.max(0, position(frame.start, true)), Math.min(rows.length - 1, position(frame.end, false))];
+  }
+
+  /**
+   * Process GROUP BY clause
+   * @private
+   * @param {array} envs - Row environments to group
+   * @param {object} statement - The select AST node
+   * @param {array} sources - Sources in scope
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {array} One group environment per group
+   */
+  groupBy(envs, statement, sources, outer) {
+    const groupBy = statement.groupBy.map(expr => this.resolveGroupByTerm(expr, statement.columns, sources));
+    const groups = new Map();
+
+    // グループを作成
+    envs.forEach(env => {
+      const groupKey = JSON.stringify(groupBy.map(expr => this.evaluateExpression(expr, env)));
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(env);
+    });
+
+    // GROUP BYなしの集計は行がなくても1行を返す
+    if (groupBy.length === 0 && groups.size === 0) {
+      groups.set('[]', []);
+    }
+
+    // グループごとの環境（非集計カラムは先頭行の値を使う）
+    const result = Array.from(groups.values()).map(members => {
+      const first = members[0];
+      if (first) {
+        return this.createEnv(first.sources, first.tuple, first.outer, members);
+      }
+      const tuple = {};
+      sources.forEach(source => {
+        tuple[source.name] = null;
+      });
+      return this.createEnv(sources, tuple, outer, members);
+    });
+
+    // HAVING句を適用
+    if (statement.having) {
+      return result.filter(env => this.evaluateCondition(statement.having, env));
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve a GROUP BY term that refers to a SELECT list alias or position
+   * @private
+   * @param {object} expr - GROUP BY expression
+   * @param {array} columns - Result column nodes
+   * @param {array} sources - Sources in scope
+   * @returns {object} The expression to group by
+   */
+  resolveGroupByTerm(expr, columns, sources) {
+    const items = columns.filter(col => col.type === 'expr');
+
+    if (expr.type === 'literal' && typeof expr.value === 'number') {
+      const item = columns[expr.value - 1];
+      if (!item || item.type !== 'expr') {
+        throw new Error(`GROUP BY term out of range: ${expr.value}`);
+      }
+      return item.expr;
+    }
+
+    if (expr.type === 'column' && !expr.table &&
+        !sources.some(source => source.columns.includes(expr.name))) {
+      const item = items.find(col => col.alias === expr.name);
+      if (item) return item.expr;
+    }
+
+    return expr;
+  }
+
+  /**
+   * Build an output row from the SELECT list
+   * @private
+   * @param {array} columns - Result column nodes
+   * @param {object} env - Row environment
+   * @returns {object} The output row
+   */
+  projectRow(columns, env) {
+    const row = {};
+    const qualify = env.sources.length > 1;
+
+    columns.forEach(col => {
+      if (col.type === 'star') {
+        env.sources.forEach(source => {
+          if (col.table && col.table !== source.name) return;
+          const sourceRow = env.tuple[source.name];
+          const keys = sourceRow ? this.rowKeys(source, sourceRow) : source.columns;
+          keys.forEach(key => {
+            // USING / NATURAL で結合したカラムは左側の1つだけを出力する
+            if (!col.table && source.hiddenColumns && source.hiddenColumns.has(key)) return;
+            const value = col.table ? this.columnValue(sourceRow, key) : this.sourceColumnValue(source, env.tuple, key);
+            row[qualify && !col.table ? `${source.name}.${key}` : key] = value;
+          });
+        });
+        if (col.table && !env.sources.some(source => source.name === col.table)) {
+          throw new Error(`No such table: ${col.table}`);
+        }
+      } else {
+        row[col.name] = this.evaluateExpression(col.expr, env);
+      }
+    });
+
+    return row;
+  }
+
+  /**
+   * Column names of a source row: declared columns followed by any extra keys
+   * @private
+   */
+  rowKeys(source, row) {
+    const keys = source.columns.slice();
+    Object.keys(row).forEach(key => {
+      if (!keys.includes(key) && key !== ROWID_KEY) keys.push(key);
+    });
+    return keys;
+  }
+
+  /**
+   * Names of the result columns of a SELECT
+   * @private
+   * @param {array} columns - Result column nodes
+   * @param {array} sources - Sources in scope
+   * @returns {array} Column names
+   */
+  resultColumnNames(columns, sources) {
+    const names = [];
+    const qualify = sources.length > 1;
+
+    columns.forEach(col => {
+      if (col.type === 'star') {
+        sources.forEach(source => {
+          if (col.table && col.table !== source.name) return;
+          source.columns.forEach(key => {
+            if (!col.table && source.hiddenColumns && source.hiddenColumns.has(key)) return;
+            names.push(qualify && !col.table ? `${source.name}.${key}` : key);
+          });
+        });
+      } else {
+        names.push(col.name);
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Process ORDER BY clause
+   * @private
+   * @param {array} items - Items of { env, row } to sort
+   * @param {array} orderBy - ORDER BY terms
+   * @returns {array} Sorted items
+   */
+  orderBy(items, orderBy) {
+    const keyed = items.map(item => ({
+      item: item,
+      keys: orderBy.map(term => this.orderByValue(term.expr, item))
+    }));
+
+    keyed.sort((a, b) => this.compareSortKeys(a.keys, b.keys, orderBy));
+
+    return keyed.map(entry => entry.item);
+  }
+
+  /**
+   * Compare two lists of ORDER BY values
+   * @private
+   * @param {array} a - Values of the first row
+   * @param {array} b - Values of the second row
+   * @param {array} orderBy - ORDER BY terms ({ descending })
+   * @returns {number} Negative, zero or positive
+   */
+  compareSortKeys(a, b, orderBy) {
+    for (let i = 0; i < orderBy.length; i++) {
+      const cmp = this.compareValues(a[i], b[i]);
+      if (cmp !== 0) {
+        return orderBy[i].descending ? -cmp : cmp;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Value of an ORDER BY term. Output column names and positions take
+   * precedence over source columns.
+   * @private
+   */
+  orderByValue(expr, item) {
+    if (expr.type === 'literal' && typeof expr.value === 'number') {
+      const values = Object.values(item.row);
+      if (expr.value < 1 || expr.value > values.length) {
+        throw new Error(`ORDER BY term out of range: ${expr.value}`);
+      }
+      return values[expr.value - 1];
+    }
+    if (expr.type === 'column' && !expr.table && Object.prototype.hasOwnProperty.call(item.row, expr.name)) {
+      return item.row[expr.name];
+    }
+
+    // 複合SELECTの結果はカラム名か位置でしか並べ替えられない
+    if (!item.env) {
+      const key = expr.type === 'column' && expr.table ? `${expr.table}.${expr.name}` : null;
+      if (key !== null && Object.prototype.hasOwnProperty.call(item.row, key)) {
+        return item.row[key];
+      }
+      throw new Error('ORDER BY term does not match any column in the result set');
+    }
+    return this.evaluateExpression(expr, item.env);
+  }
+
+  /**
+   * Compare two values for sorting. NULL sorts first, numbers before strings.
+   * @private
+   * @returns {number} Negative, zero or positive
+   */
+  compareValues(a, b) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    if (aNull || bNull) return aNull === bNull ? 0 : aNull ? -1 : 1;
+
+    const aNumber = typeof a === 'number' || typeof a === 'boolean';
+    const bNumber = typeof b === 'number' || typeof b === 'boolean';
+    if (aNumber !== bNumber) return aNumber ? -1 : 1;
+
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+  }
+
+  /**
+   * Apply LIMIT and OFFSET clauses
+   * @private
+   * @param {array} items - The items to limit
+   * @param {object} limit - LIMIT expression
+   * @param {object} offset - OFFSET expression
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {array} Limited items
+   */
+  applyLimit(items, limit, offset, outer) {
+    const { start, end } = this.limitRange(limit, offset, outer);
+    return items.slice(start, end);
+  }
+
+  /**
+   * Evaluate LIMIT and OFFSET to a range of row positions
+   * @private
+   * @param {object} limit - LIMIT expression
+   * @param {object} offset - OFFSET expression
+   * @param {object} outer - Enclosing evaluation environment
+   * @returns {object} { start, end } where end is Infinity without a limit
+   */
+  limitRange(limit, offset, outer) {
+    const env = this.createEnv([], {}, outer);
+    const count = parseInt(this.evaluateExpression(limit, env));
+    const start = offset ? parseInt(this.evaluateExpression(offset, env)) : 0;
+
+    if (isNaN(count) || isNaN(start)) {
+      throw new Error('LIMIT and OFFSET must be integers');
+    }
+
+    // 負のLIMITは無制限
+    return { start: start, end: count < 0 ? Infinity : start + count };
+  }
+
+  /**
+   * Apply DISTINCT to output rows
+   * @private
+   * @param {array} items - Items of { env, row }
+   * @returns {array} Distinct items
+   */
+  applyDistinct(items) {
+    const seen = new Set();
+    return items.filter(item => {
+      const key = JSON.stringify(Object.values(item.row));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Resolve a column reference against the environment chain
+   * @private
+   * @param {object} node - column AST node
+   * @param {object} env - Row environment
+   * @returns {*} The column value
+   */
+  resolveColumn(node, env) {
+    const found = this.findColumnSource(node, env);
+    if (found) {
+      const row = found.scope.tuple[found.source.name];
+      if (found.source.table && this.isRowidAlias(found.source, node.name)) {
+        return this.columnValue(row, this.rowidColumn(found.source.table));
+      }
+      return node.table ? this.columnValue(row, node.name) : this.sourceColumnValue(found.source, found.scope.tuple, node.name);
+    }
+
+    // 解決できない "name" は文字列リテラルとして扱う
+    if (node.quoted) {
+      return node.name;
+    }
+
+    const fullName = node.table ? `${node.table}.${node.name}` : node.name;
+    throw new Error(`No such column: ${fullName}`);
+  }
+
+  /**
+   * Value of an unqualified column of a source. A column shared through
+   * USING / NATURAL takes the joined side's value when this side is NULL.
+   * @private
+   * @param {object} source - The source
+   * @param {object} tuple - Map of source name to row
+   * @param {string} column - The column name
+   * @returns {*} The value
+   */
+  sourceColumnValue(source, tuple, column) {
+    const value = this.columnValue(tuple[source.name], column);
+    if (value !== null || !source.coalesceColumns || !source.coalesceColumns[column]) return value;
+    for (let name of source.coalesceColumns[column]) {
+      const other = this.columnValue(tuple[name], column);
+      if (other !== null) return other;
+    }
+    return null;
+  }
+
+  /**
+   * Find the source a column reference belongs to, searching outer scopes
+   * @private
+   * @param {object} node - column AST node
+   * @param {object} env - Row environment
+   * @returns {object|null} { scope, source }
+   */
+  findColumnSource(node, env) {
+    for (let scope = env; scope; scope = scope.outer) {
+      if (node.table) {
+        const source = scope.sources.find(s => s.name === node.table);
+        if (source) return { scope: scope, source: source };
+        continue;
+      }
+
+      const found = scope.sources.filter(source => {
+        const row = scope.tuple[source.name];
+        if (source.hiddenColumns && source.hiddenColumns.has(node.name)) return false;
+        return source.columns.includes(node.name) ||
+          (row && Object.prototype.hasOwnProperty.call(row, node.name));
+      });
+      // rowid は他に該当するカラムがない場合のみテーブルの rowid を指す
+      if (found.length === 0) {
+        found.push(...scope.sources.filter(source => source.table && this.isRowidAlias(source, node.name)));
+      }
+      if (found.length > 1) {
+        throw new Error(`Ambiguous column name: ${node.name}`);
+      }
+      if (found.length === 1) {
+        return { scope: scope, source: found[0] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a name refers to the rowid of a table source
+   * @private
+   */
+  isRowidAlias(source, name) {
+    return ROWID_ALIASES.includes(name.toLowerCase()) && !source.columns.includes(name);
+  }
+
+  /**
+   * @private
+   */
+  columnValue(row, column) {
+    if (!row || row[column] === undefined) return null;
+    return row[column];
+  }
+
+  /**
+   * Evaluate expression
+   * @private
+   * @param {object} node - Expression AST node
+   * @param {object} env - Row environment
+   * @returns {*} The evaluation result
+   */
+  evaluateExpression(node, env) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'parameter':
+        return this.parameterValue(node, env);
+
+      case 'column':
+        return this.resolveColumn(node, env);
+
+      case 'function':
+        return this.evaluateFunction(node, env);
+
+      case 'cast':
+        return this.castValue(this.evaluateExpression(node.expr, env), node.as);
+
+      case 'binary':
+        return this.evaluateBinary(node.operator,
+          this.evaluateExpression(node.left, env), this.evaluateExpression(node.right, env));
+
+      case 'unary': {
+        const value = this.evaluateExpression(node.expr, env);
+        if (value === null) return null;
+        const number = this.castValue(value, 'NUMERIC');
+        return node.operator === '-' ? -number : number;
+      }
+
+      case 'case':
+        return this.evaluateCase(node, env);
+
+      case 'subquery': {
+        // スカラーサブクエリ（単一値を返す）
+        const rows = this.select(node.query, env);
+        if (rows.length === 0) return null;
+        const value = Object.values(rows[0])[0];
+        return value === undefined ? null : value;
+      }
+
+      default:
+        return this.evaluateCondition(node, env);
+    }
+  }
+
+  /**
+   * Apply an arithmetic or || operator. NULL operands give NULL; for
+   * arithmetic, text is converted to a number as CAST(x AS NUMERIC) does.
+   * @private
+   * @param {string} operator - +, -, *, /, % or ||
+   * @param {*} left - Left operand value
+   * @param {*} right - Right operand value
+   * @returns {*} The result
+   */
+  evaluateBinary(operator, left, right) {
+    if (left === null || right === null) return null;
+
+    if (operator === '||') {
+      return String(left) + String(right);
+    }
+
+    const a = this.castValue(left, 'NUMERIC');
+    const b = this.castValue(right, 'NUMERIC');
+    switch (operator) {
+      case '+':
+        return a + b;
+      case '-':
+        return a - b;
+      case '*':
+        return a * b;
+      // 0による除算はNULL（SQLiteと同じ）
+      case '/':
+        return b === 0 ? null : a / b;
+      case '%':
+        return b === 0 ? null : a % b;
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Evaluate CASE. The simple form compares with = (so NULL never matches);
+   * the searched form takes the first WHEN whose condition is true.
+   * @private
+   * @param {object} node - case AST node
+   * @param {object} env - Row environment
+   * @returns {*} The THEN / ELSE value, or NULL
+   */
+  evaluateCase(node, env) {
+    const base = node.base ? this.evaluateExpression(node.base, env) : null;
+
+    const match = node.whens.find(({ when }) => {
+      if (!node.base) {
+        return this.evaluateCondition(when, env);
+      }
+      const [left, right] = this.comparisonOperands(node.base, base, when, this.evaluateExpression(when, env), env);
+      return this.compare('=', left, right);
+    });
+
+    if (match) return this.evaluateExpression(match.then, env);
+    return node.else ? this.evaluateExpression(node.else, env) : null;
+  }
+
+  /**
+   * Look up the bound value of a parameter in the environment chain
+   * @private
+   * @param {object} node - parameter AST node
+   * @param {object} env - Row environment
+   * @returns {*} The bound value
+   */
+  parameterValue(node, env) {
+    let scope = env;
+    while (scope && !scope.params) {
+      scope = scope.outer;
+    }
+
+    const params = scope ? scope.params : {};
+    const value = node.name !== null ? params[node.name] : params[node.index];
+    if (value === undefined) {
+      throw new Error(`Missing value for parameter ${node.name !== null ? ':' + node.name : '?' + (node.index + 1)}`);
+    }
+    return value;
+  }
+
+  /**
+   * Create the root environment holding bound parameter values
+   * @private
+   * @param {array|object|*} params - Array for positional parameters, object for named ones
+   * @param {object} parser - Parser that read the statement (parameterCount, parameterNames)
+   * @returns {object} The environment
+   */
+  bindParameters(params, parser) {
+    const env = this.createEnv([], {}, null);
+    const values = {};
+
+    if (params === undefined || params === null) {
+      params = parser.parameterNames.length > 0 ? {} : [];
+    } else if (typeof params !== 'object') {
+      params = [params];
+    }
+
+    if (Array.isArray(params)) {
+      if (params.length !== parser.parameterCount) {
+        throw new Error(`Expected ${parser.parameterCount} parameter values but got ${params.length}`);
+      }
+      params.forEach((value, index) => {
+        values[index] = this.checkParameterValue(value, `?${index + 1}`);
+      });
+    } else {
+      if (parser.parameterCount > 0) {
+        throw new Error('Positional parameters must be bound with an array');
+      }
+      // :name / $name / @name のいずれの形式のキーも受け付ける
+      parser.parameterNames.forEach(name => {
+        const key = [name, `:${name}`, `$${name}`, `@${name}`].find(k => Object.prototype.hasOwnProperty.call(params, k));
+        if (key === undefined) {
+          throw new Error(`Missing value for parameter :${name}`);
+        }
+        values[name] = this.checkParameterValue(params[key], `:${name}`);
+      });
+    }
+
+    env.params = values;
+    return env;
+  }
+
+  /**
+   * Check that a bound value is a supported type
+   * @private
+   * @param {*} value - The bound value
+   * @param {string} label - Parameter label for error messages
+   * @returns {*} The value (a Date becomes DATETIME text)
+   */
+  checkParameterValue(value, label) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      return value;
+    }
+    if (value instanceof Date) {
+      const ms = TimeValue.parse(value);
+      const text = ms === null ? null : TimeValue.toText(ms, 'DATETIME');
+      if (text === null) throw new Error(`Invalid Date for parameter ${label}`);
+      return text;
+    }
+    throw new Error(`Unsupported value for parameter ${label}: ${value === undefined ? 'undefined' : typeof value}`);
+  }
+
+  /**
+   * Evaluate a function call
+   * @private
+   * @param {object} node - function AST node
+   * @param {object} env - Row environment
+   * @returns {*} The function result
+   */
+  evaluateFunction(node, env) {
+    // ウィンドウ関数の値はevaluateWindows()で計算済み
+    if (node.over || WINDOW_FUNCTIONS.has(node.name)) {
+      if (!node.over || !env.windows || !env.windows.has(node)) {
+        throw new Error(`Misuse of window function ${node.name}()`);
+      }
+      return env.windows.get(node);
+    }
+
+    if (this.isAggregateFunction(node.name)) {
+      return this.evaluateAggregate(node, env);
+    }
+
+    if (this.functions.has(node.name)) {
+      const args = node.args.map(arg => this.evaluateExpression(arg, env));
+      return this.callFunction(this.functions.get(node.name), args);
+    }
+
+    const expectArgs = (min, max = min) => {
+      if (node.args.length < min || node.args.length > max) {
+        throw new Error(`Wrong number of arguments to function ${node.name}()`);
+      }
+    };
+
+    // COALESCE / IFNULL は最初の非NULL値まで評価する
+    if (node.name === 'COALESCE' || node.name === 'IFNULL') {
+      expectArgs(2, node.name === 'IFNULL' ? 2 : Infinity);
+      for (const arg of node.args) {
+        const value = this.evaluateExpression(arg, env);
+        if (value !== null) return value;
+      }
+      return null;
+    }
+
+    const args = node.args.map(arg => this.evaluateExpression(arg, env));
+    const [value] = args;
+
+    switch (node.name) {
+      // スカラー関数
+      case 'UPPER':
+        return value === null ? null : String(value).toUpperCase();
+      case 'LOWER':
+        return value === null ? null : String(value).toLowerCase();
+      case 'LENGTH':
+        return value === null ? null : String(value).length;
+      case 'CONCAT':
+        expectArgs(1, Infinity);
+        return args.map(arg => (arg === null ? '' : String(arg))).join('');
+      case 'TYPEOF':
+        return this.valueType(value);
+      case 'SUBSTR':
+      case 'SUBSTRING':
+        expectArgs(2, 3);
+        return args.includes(null) ? null : this.substring(String(value), args[1], args[2]);
+      case 'TRIM':
+      case 'LTRIM':
+      case 'RTRIM': {
+        expectArgs(1, 2);
+        if (args.includes(null)) return null;
+        const characters = args.length > 1 ? String(args[1]) : ' ';
+        const text = String(value);
+        let start = 0;
+        let end = text.length;
+        if (node.name !== 'RTRIM') {
+          while (start < end && characters.includes(text[start])) start++;
+        }
+        if (node.name !== 'LTRIM') {
+          while (end > start && characters.includes(text[end - 1])) end--;
+        }
+        return text.slice(start, end);
+      }
+      case 'REPLACE': {
+        expectArgs(3);
+        if (args.includes(null)) return null;
+        const search = String(args[1]);
+        return search === '' ? String(value) : String(value).split(search).join(String(args[2]));
+      }
+      case 'INSTR':
+        expectArgs(2);
+        return args.includes(null) ? null : String(value).indexOf(String(args[1])) + 1;
+      case 'ABS':
+        expectArgs(1);
+        return value === null ? null : Math.abs(this.castValue(value, 'NUMERIC'));
+      case 'ROUND': {
+        expectArgs(1, 2);
+        if (args.includes(null)) return null;
+        const digits = args.length > 1 ? Math.max(0, Math.trunc(this.castValue(args[1], 'NUMERIC'))) : 0;
+        return this.round(this.castValue(value, 'NUMERIC'), digits);
+      }
+      case 'NULLIF': {
+        expectArgs(2);
+        const [left, right] = this.comparisonOperands(node.args[0], value, node.args[1], args[1], env);
+        return this.compare('=', left, right) ? null : value;
+      }
+
+      // 日付・時刻関数
+      case 'DATE':
+      case 'TIME':
+      case 'DATETIME':
+      case 'JULIANDAY':
+      case 'UNIXEPOCH': {
+        const ms = this.timeArgument(args);
+        if (ms === null) return null;
+        if (node.name === 'JULIANDAY') return TimeValue.toJulianDay(ms);
+        if (node.name === 'UNIXEPOCH') return Math.floor(ms / 1000);
+        const formats = { DATE: '%Y-%m-%d', TIME: '%H:%M:%S', DATETIME: '%Y-%m-%d %H:%M:%S' };
+        return TimeValue.format(ms, formats[node.name]);
+      }
+      case 'STRFTIME': {
+        expectArgs(1, Infinity);
+        const ms = this.timeArgument(args.slice(1));
+        return value === null || ms === null ? null : TimeValue.format(ms, value);
+      }
+      case 'CURRENT_TIMESTAMP':
+        return TimeValue.format(Date.now(), '%Y-%m-%d %H:%M:%S');
+      case 'CURRENT_DATE':
+        return TimeValue.format(Date.now(), '%Y-%m-%d');
+      case 'CURRENT_TIME':
+        return TimeValue.format(Date.now(), '%H:%M:%S');
+
+      default:
+        throw new Error(`Unknown function: ${node.name}`);
+    }
+  }
+
+  /**
+   * Call a function registered with registerFunction()
+   * @private
+   * @param {object} definition - The registered function
+   * @param {array} args - Evaluated arguments
+   * @returns {*} The result converted to a SQL value
+   */
+  callFunction(definition, args) {
+    if (definition.argCount !== -1 && args.length !== definition.argCount) {
+      throw new Error(`Wrong number of arguments to function ${definition.name}()`);
+    }
 
-    if (joinType === 'INNER JOIN' || joinType === 'JOIN') {
-      for (let row1 of data1Actual) {
-        for (let row2 of data2Actual) {
-          if (row1[key1] == row2[key2]) {
-            result.push(this.mergeRows(row1, row2, table1, table2));
-          }
-        }
+    const key = definition.results ? JSON.stringify(args) : null;
+    if (key !== null && definition.results.has(key)) {
+      return definition.results.get(key);
+    }
+
+    const result = this.functionResult(definition.name, definition.fn(...args));
+    if (key !== null) {
+      // 結果のキャッシュが大きくなりすぎないようにする
+      if (definition.results.size >= 1000) definition.results.clear();
+      definition.results.set(key, result);
+    }
+    return result;
+  }
+
+  /**
+   * Convert the return value of a registered function to a SQL value
+   * @private
+   * @param {string} name - The function name
+   * @param {*} result - The return value
+   * @returns {*} The SQL value
+   * @throws {Error} If the value has an unsupported type
+   */
+  functionResult(name, result) {
+    if (result === undefined) return null;
+    if (result instanceof Date) {
+      const ms = TimeValue.parse(result);
+      return ms === null ? null : TimeValue.toText(ms, 'DATETIME');
+    }
+    if (result !== null && !['string', 'number', 'boolean'].includes(typeof result)) {
+      throw new Error(`Function ${name}() returned an unsupported value: ${typeof result}`);
+    }
+    return result;
+  }
+
+  /**
+   * SUBSTR(text, start, length) with SQLite's rules: start is 1-based and
+   * counts from the end when negative; a negative length takes the
+   * characters before start
+   * @private
+   */
+  substring(text, start, length) {
+    let from = Math.trunc(this.castValue(start, 'NUMERIC'));
+    let count = length === undefined ? text.length : Math.trunc(this.castValue(length, 'NUMERIC'));
+    const before = count < 0;
+    if (before) count = -count;
+
+    if (from < 0) {
+      from += text.length;
+      if (from < 0) {
+        count = before ? 0 : count + from;
+        from = 0;
       }
-    } else if (joinType === 'LEFT JOIN') {
-      for (let row1 of data1Actual) {
-        let matched = false;
-        for (let row2 of data2Actual) {
-          if (row1[key1] == row2[key2]) {
-            result.push(this.mergeRows(row1, row2, table1, table2));
-            matched = true;
+    } else if (from > 0) {
+      from--;
+    } else if (count > 0) {
+      // 開始位置0は先頭の1文字前を指す
+      count--;
+    }
+    if (before) {
+      from -= count;
+      if (from < 0) {
+        count += from;
+        from = 0;
+      }
+    }
+    return count > 0 ? text.slice(from, from + count) : '';
+  }
+
+  /**
+   * Round half away from zero to a number of decimal places
+   * @private
+   */
+  round(value, digits) {
+    if (!isFinite(value) || Math.abs(value) >= 1e15 || digits > 15) return value;
+    if (String(value).includes('e')) return Number(value.toFixed(digits));
+    // 指数表記で桁をずらし、2進小数の誤差（1.005 等）を避ける
+    const shifted = Math.round(Number(`${Math.abs(value)}e${digits}`));
+    return Math.sign(value) * Number(`${shifted}e-${digits}`);
+  }
+
+  /**
+   * Time given by the arguments of a date function: a time value ('now'
+   * when omitted) followed by modifiers
+   * @private
+   * @param {array} args - Evaluated arguments
+   * @returns {number|null} Milliseconds since the epoch, or null if any argument is NULL or invalid
+   */
+  timeArgument(args) {
+    if (args.some(arg => arg === null)) return null;
+    let [value = 'now', ...modifiers] = args;
+
+    // 'unixepoch' は数値の直後でのみ有効で、数値を秒として読む
+    let ms;
+    if (modifiers.length > 0 && String(modifiers[0]).trim().toLowerCase() === 'unixepoch') {
+      if (typeof value === 'string' && NUMERIC_TEXT.test(value)) value = Number(value);
+      if (typeof value !== 'number' || !isFinite(value)) return null;
+      ms = Math.round(value * 1000);
+      modifiers = modifiers.slice(1);
+    } else {
+      ms = TimeValue.parse(value);
+    }
+
+    for (const modifier of modifiers) {
+      if (ms === null) return null;
+      ms = TimeValue.applyModifier(ms, modifier);
+    }
+    return ms;
+  }
+
+  /**
+   * Convert a value as CAST(value AS type) does. Unlike storing into a
+   * column this never fails: text without a leading number becomes 0.
+   * @private
+   * @param {*} value - The value
+   * @param {string} type - The target type
+   * @returns {*} The converted value
+   */
+  castValue(value, type) {
+    if (value === null) return null;
+
+    const affinity = this.typeAffinity(type);
+    const leadingNumber = text => {
+      const match = /^\s*[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(text);
+      return match ? Number(match[0]) : 0;
+    };
+
+    switch (affinity) {
+      case 'INTEGER':
+      case 'REAL':
+      case 'NUMERIC': {
+        const number = typeof value === 'string' ? leadingNumber(value) : Number(value);
+        return affinity === 'INTEGER' ? Math.trunc(number) : number;
+      }
+      case 'TEXT':
+        return String(value);
+      case 'BOOLEAN': {
+        const converted = this.convertValue(value, 'BOOLEAN');
+        if (converted !== undefined) return converted;
+        return typeof value === 'string' ? leadingNumber(value) !== 0 : Boolean(value);
+      }
+      case 'DATE':
+      case 'DATETIME': {
+        const converted = this.convertValue(value, affinity);
+        return converted === undefined ? null : converted;
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Storage class of a value as reported by typeof()
+   * @private
+   * @param {*} value - The value
+   * @returns {string} null, integer, real, text or boolean
+   */
+  valueType(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'real';
+    if (typeof value === 'boolean') return 'boolean';
+    return 'text';
+  }
+
+  /**
+   * Evaluate an aggregate function over the rows of a group
+   * @private
+   * @param {object} node - function AST node
+   * @param {object} env - Group environment
+   * @returns {*} The aggregate result
+   */
+  evaluateAggregate(node, env) {
+    if (!env.group) {
+      throw new Error(`Misuse of aggregate function ${node.name}()`);
+    }
+    if (this.aggregates.has(node.name)) {
+      return this.callAggregate(this.aggregates.get(node.name), node, env);
+    }
+
+    if (node.star) {
+      if (node.name !== 'COUNT') {
+        throw new Error(`${node.name}(*) is not supported`);
+      }
+      return env.group.length;
+    }
+    if (node.args.length === 0) {
+      throw new Error(`Wrong number of arguments to function ${node.name}()`);
+    }
+
+    // NULLは集計対象から除外する
+    let values = env.group
+      .map(member => this.evaluateExpression(node.args[0], member))
+      .filter(value => value !== null);
+
+    if (node.distinct) {
+      values = Array.from(new Set(values));
+    }
+
+    switch (node.name) {
+      case 'COUNT':
+        return values.length;
+      case 'SUM':
+        return values.length === 0 ? null : values.reduce((sum, value) => sum + Number(value), 0);
+      case 'AVG':
+        return values.length === 0 ? null : values.reduce((sum, value) => sum + Number(value), 0) / values.length;
+      case 'MIN':
+        return values.reduce((min, value) => (min === null || this.compareValues(value, min) < 0 ? value : min), null);
+      case 'MAX':
+        return values.reduce((max, value) => (max === null || this.compareValues(value, max) > 0 ? value : max), null);
+      case 'GROUP_CONCAT': {
+        const separator = node.args.length > 1 ? this.evaluateExpression(node.args[1], env) : ',';
+        return values.length === 0 ? null : values.map(String).join(separator === null ? '' : String(separator));
+      }
+      default:
+        throw new Error(`Unknown function: ${node.name}`);
+    }
+  }
+
+  /**
+   * Compute an aggregate registered with registerAggregate() over a group
+   * @private
+   * @param {object} definition - The registered aggregate
+   * @param {object} node - function AST node
+   * @param {object} env - Group environment
+   * @returns {*} The aggregate result
+   */
+  callAggregate(definition, node, env) {
+    if (node.star) {
+      throw new Error(`${node.name}(*) is not supported`);
+    }
+    if (node.distinct && node.args.length !== 1) {
+      throw new Error('DISTINCT aggregates must have exactly one argument');
+    }
+
+    const seen = node.distinct ? new Set() : null;
+    let state = definition.init();
+    env.group.forEach(member => {
+      const args = node.args.map(arg => this.evaluateExpression(arg, member));
+      if (seen) {
+        const key = JSON.stringify(args[0]);
+        if (seen.has(key)) return;
+        seen.add(key);
+      }
+      const next = definition.step(state, ...args);
+      if (next !== undefined) state = next;
+    });
+    return this.functionResult(definition.name, definition.finalize(state));
+  }
+
+  /**
+   * Evaluate a condition (WHERE, HAVING, ON)
+   * @private
+   * @param {object} node - Expression AST node
+   * @param {object} env - Row environment
+   * @returns {boolean|null} Evaluation result, null when the result is unknown
+   */
+  evaluateCondition(node, env) {
+    // 三値論理: true / false / null (UNKNOWN)
+    const negate = value => (value === null ? null : !value);
+
+    switch (node.type) {
+      case 'logical': {
+        // 結果が確定した時点で右辺の評価を省略する
+        const decisive = node.operator === 'AND' ? false : true;
+        const left = this.evaluateCondition(node.left, env);
+        if (left === decisive) return decisive;
+        const right = this.evaluateCondition(node.right, env);
+        if (right === decisive) return decisive;
+        return left === null || right === null ? null : !decisive;
+      }
+
+      case 'not':
+        return negate(this.evaluateCondition(node.expr, env));
+
+      case 'comparison': {
+        const [left, right] = this.comparisonOperands(
+          node.left, this.evaluateExpression(node.left, env),
+          node.right, this.evaluateExpression(node.right, env),
+          env
+        );
+        return this.compare(node.operator, left, right);
+      }
+
+      case 'like': {
+        // LIKE演算子
+        const value = this.evaluateExpression(node.expr, env);
+        const pattern = this.evaluateExpression(node.pattern, env);
+        if (value === null || pattern === null) return null;
+        const matched = this.likeToRegExp(String(pattern)).test(String(value));
+        return node.not ? !matched : matched;
+      }
+
+      case 'in': {
+        // IN / NOT IN演算子（サブクエリ対応）
+        // 一致がなくリストにNULLが含まれる場合は UNKNOWN
+        const value = this.evaluateExpression(node.expr, env);
+        const candidates = node.query
+          ? this.select(node.query, env).map(row => [null, Object.values(row)[0]])
+          : node.values.map(v => [v, this.evaluateExpression(v, env)]);
+        if (candidates.length === 0) return node.not;
+
+        let found = false;
+        for (const [candidateNode, candidate] of candidates) {
+          const result = this.compare('=', ...this.comparisonOperands(node.expr, value, candidateNode, candidate, env));
+          if (result) {
+            found = true;
+            break;
           }
+          if (result === null) found = null;
         }
-        if (!matched) {
-          const nullRow2 = {};
-          Object.keys(data2Actual[0] || {}).forEach(key => {
-            nullRow2[key] = null;
-          });
-          result.push(this.mergeRows(row1, nullRow2, table1, table2));
+        return node.not ? negate(found) : found;
+      }
+
+      case 'between': {
+        // BETWEEN演算子
+        const value = this.evaluateExpression(node.expr, env);
+        const low = this.compare('>=',
+          ...this.comparisonOperands(node.expr, value, node.low, this.evaluateExpression(node.low, env), env));
+        const high = this.compare('<=',
+          ...this.comparisonOperands(node.expr, value, node.high, this.evaluateExpression(node.high, env), env));
+        const inRange = low === false || high === false ? false : low === null || high === null ? null : true;
+        return node.not ? negate(inRange) : inRange;
+      }
+
+      case 'isNull': {
+        // IS NULL / IS NOT NULL
+        const isNull = this.evaluateExpression(node.expr, env) === null;
+        return node.not ? !isNull : isNull;
+      }
+
+      case 'exists': {
+        // EXISTS / NOT EXISTS（相関サブクエリ）
+        const exists = this.select(node.query, env).length > 0;
+        return node.not ? !exists : exists;
+      }
+
+      default: {
+        const value = this.evaluateExpression(node, env);
+        return value === null ? null : Boolean(value);
+      }
+    }
+  }
+
+  /**
+   * Compare two values with a comparison operator
+   * @private
+   * @param {string} operator - One of =, !=, <, >, <=, >=
+   * @param {*} left - Left value
+   * @param {*} right - Right value
+   * @returns {boolean|null} Comparison result, null (unknown) if either value is NULL
+   */
+  compare(operator, left, right) {
+    // NULL との比較は UNKNOWN
+    if (left === null || left === undefined || right === null || right === undefined) {
+      return null;
+    }
+    // 型の異なる値は変換せず、数値 < 文字列 の順に並ぶものとして比較する
+    const order = this.compareValues(left, right);
+    switch (operator) {
+      case '=':
+        return order === 0;
+      case '!=':
+        return order !== 0;
+      case '>':
+        return order > 0;
+      case '<':
+        return order < 0;
+      case '>=':
+        return order >= 0;
+      case '<=':
+        return order <= 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Apply column affinity to the operands of a comparison, as SQLite does:
+   * when a numeric (or BOOLEAN) column is compared with a value that has no
+   * numeric affinity, that value is converted to the column's type; when a
+   * TEXT column is compared with a value without affinity, the value is
+   * converted to text.
+   * @private
+   * @param {object} leftNode - Left expression (may be null)
+   * @param {*} left - Left value
+   * @param {object} rightNode - Right expression (may be null)
+   * @param {*} right - Right value
+   * @param {object} env - Row environment
+   * @returns {array} [left, right]
+   */
+  comparisonOperands(leftNode, left, rightNode, right, env) {
+    const convert = (value, affinity) => {
+      const converted = this.convertValue(value, affinity);
+      return converted === undefined ? value : converted;
+    };
+
+    // DATE / DATETIME カラムと比較するテキストはカラムと同じ表記にそろえる
+    if (typeof left === 'string' && typeof right === 'string') {
+      const temporal = affinity => affinity === 'DATE' || affinity === 'DATETIME';
+      const leftAffinity = this.expressionAffinity(leftNode, env);
+      const rightAffinity = this.expressionAffinity(rightNode, env);
+      if (temporal(leftAffinity) && !temporal(rightAffinity)) {
+        return [left, convert(right, leftAffinity)];
+      }
+      if (temporal(rightAffinity) && !temporal(leftAffinity)) {
+        return [convert(left, rightAffinity), right];
+      }
+      return [left, right];
+    }
+    if (left === null || right === null || typeof left === typeof right) {
+      return [left, right];
+    }
+
+    const leftAffinity = this.expressionAffinity(leftNode, env);
+    const rightAffinity = this.expressionAffinity(rightNode, env);
+    const numeric = affinity => ['INTEGER', 'REAL', 'NUMERIC', 'BOOLEAN'].includes(affinity);
+
+    if (numeric(leftAffinity) && !numeric(rightAffinity)) {
+      return [left, convert(right, leftAffinity)];
+    }
+    if (numeric(rightAffinity) && !numeric(leftAffinity)) {
+      return [convert(left, rightAffinity), right];
+    }
+    if (leftAffinity === 'TEXT' && rightAffinity === null) {
+      return [left, convert(right, 'TEXT')];
+    }
+    if (rightAffinity === 'TEXT' && leftAffinity === null) {
+      return [convert(left, 'TEXT'), right];
+    }
+    return [left, right];
+  }
+
+  /**
+   * Affinity of an expression: a table column's affinity or a CAST's type
+   * @private
+   * @param {object} node - Expression AST node (may be null)
+   * @param {object} env - Row environment
+   * @returns {string|null} The affinity
+   */
+  expressionAffinity(node, env) {
+    if (!node) return null;
+    if (node.type === 'cast') return this.typeAffinity(node.as);
+    if (node.type !== 'column') return null;
+
+    const found = this.findColumnSource(node, env);
+    return found && found.source.table ? this.columnAffinity(found.source.table, node.name) : null;
+  }
+
+  /**
+   * Convert a LIKE pattern to a regular expression. As in SQLite, ASCII
+   * letters match either case; other characters match only themselves.
+   * @private
+   * @param {string} pattern - The LIKE pattern
+   * @returns {RegExp} The regular expression
+   */
+  likeToRegExp(pattern) {
+    const source = pattern
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      // ワイルドカードの置き換え（[\s\S]）より前に行う
+      .replace(/[A-Za-z]/g, c => `[${c.toLowerCase()}${c.toUpperCase()}]`)
+      .replace(/%/g, '[\\s\\S]*')
+      .replace(/_/g, '[\\s\\S]');
+    return new RegExp('^' + source + '$');
+  }
+
+  /**
+   * Execute UPDATE statement
+   * @private
+   * @param {object} statement - The update AST node
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {object} Result object
+   */
+  update(statement, outer = null) {
+    const tableName = statement.table;
+    this.assertTableExists(tableName);
+
+    statement.assignments.forEach(({ column }) => this.assertColumnExists(tableName, column));
+
+    const sourceName = statement.alias || tableName;
+    const sources = [{ name: sourceName, table: tableName, columns: Object.keys(this.tables[tableName].columns) }];
+    const candidates = this.indexLookup(tableName, sourceName, statement.where, outer);
+    const candidateSet = candidates ? new Set(candidates) : null;
+    const changes = { added: [], removed: [], replacements: new Map() };
+
+    const data = this.getTableData(tableName).map(row => {
+      if (candidateSet && !candidateSet.has(row)) {
+        return row;
+      }
+      const env = this.createEnv(sources, { [sourceName]: row }, outer);
+      if (statement.where && !this.evaluateCondition(statement.where, env)) {
+        return row;
+      }
+
+      // SET の値はすべて更新前の行に対して評価する
+      const updates = {};
+      statement.assignments.forEach(({ column, value }) => {
+        updates[column] = this.evaluateExpression(value, env);
+      });
+      const updated = this.applyAffinity(tableName, Object.assign({}, row, updates));
+      this.checkConstraints(tableName, updated);
+      changes.removed.push(row);
+      changes.added.push(updated);
+      changes.replacements.set(row, updated);
+      return updated;
+    });
+
+    this.saveTableData(tableName, data, changes);
+    this.recordChange(tableName, 'update', changes.added);
+    this.checkForeignKeys(tableName, changes);
+
+    return { success: true, message: `${changes.added.length} rows updated in ${tableName}`, changes: changes.added.length };
+  }
+
+  /**
+   * Execute DELETE statement
+   * @private
+   * @param {object} statement - The delete AST node
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {object} Result object
+   */
+  delete(statement, outer = null) {
+    const tableName = statement.table;
+    this.assertTableExists(tableName);
+
+    const sourceName = statement.alias || tableName;
+    const sources = [{ name: sourceName, table: tableName, columns: Object.keys(this.tables[tableName].columns) }];
+    const candidates = this.indexLookup(tableName, sourceName, statement.where, outer);
+    const candidateSet = candidates ? new Set(candidates) : null;
+    const removed = [];
+
+    const data = this.getTableData(tableName).filter(row => {
+      const matched = (!candidateSet || candidateSet.has(row)) && (!statement.where ||
+        this.evaluateCondition(statement.where, this.createEnv(sources, { [sourceName]: row }, outer)));
+      if (matched) removed.push(row);
+      return !matched;
+    });
+
+    this.saveTableData(tableName, data, { added: [], removed: removed });
+    this.recordChange(tableName, 'delete', removed);
+    this.checkForeignKeys(tableName, { added: [], removed: removed });
+
+    return { success: true, message: `${removed.length} rows deleted from ${tableName}`, changes: removed.length };
+  }
+
+  /**
+   * Whether a name refers to SQLite's sqlite_sequence table, which holds the
+   * AUTOINCREMENT sequences (unless a table of that name was created)
+   * @private
+   * @param {string} tableName - The table name
+   * @returns {boolean}
+   */
+  isSequenceTable(tableName) {
+    return tableName === 'sqlite_sequence' && !this.tables[tableName];
+  }
+
+  /**
+   * Execute INSERT INTO or DELETE FROM sqlite_sequence, as written by dump()
+   * and the sqlite3 shell: set the AUTOINCREMENT sequence of the named
+   * tables, or reset all of them
+   * @private
+   * @param {object} statement - The insert or delete AST node
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {object} Result object
+   */
+  writeSequence(statement, outer) {
+    if (statement.type === 'delete') {
+      if (statement.where) {
+        throw new Error('DELETE FROM sqlite_sequence cannot have a WHERE clause');
+      }
+      const tables = this.getTables().filter(name => this.tables[name].autoincrement);
+      tables.forEach(name => {
+        this.tables[name].sequence = 0;
+      });
+      this.saveSchema();
+      return { success: true, message: `${tables.length} ${tables.length === 1 ? 'row' : 'rows'} deleted from sqlite_sequence`, changes: tables.length };
+    }
+
+    const columns = statement.columns || ['name', 'seq'];
+    if (statement.query || statement.upsert || !this.sameColumns(columns, ['name', 'seq'])) {
+      throw new Error('INSERT INTO sqlite_sequence must give VALUES for name and seq');
+    }
+    const env = this.createEnv([], {}, outer);
+    statement.rows.forEach(values => {
+      if (values.length !== columns.length) {
+        throw new Error(`${values.length} values for ${columns.length} columns`);
+      }
+      const name = this.evaluateExpression(values[columns.indexOf('name')], env);
+      const seq = this.evaluateExpression(values[columns.indexOf('seq')], env);
+      const schema = this.tables[name];
+      if (!schema || !schema.autoincrement) {
+        throw new Error(`Table ${name} has no AUTOINCREMENT column`);
+      }
+      if (!Number.isInteger(seq) || seq < 0) {
+        throw new Error(`Invalid AUTOINCREMENT sequence for ${name}: ${seq}`);
+      }
+      schema.sequence = seq;
+    });
+    this.saveSchema();
+    return { success: true, message: `${statement.rows.length} ${statement.rows.length === 1 ? 'row' : 'rows'} inserted into sqlite_sequence`, changes: statement.rows.length };
+  }
+
+  /**
+   * Execute a parsed statement
+   * @private
+   * @param {object} statement - The statement AST
+   * @param {object} outer - Environment holding bound parameters
+   * @returns {*} Query result
+   */
+  executeStatement(statement, outer = null) {
+    this.statementCount++;
+    // SELECTのWITH句はrunQuery()で評価する
+    if (statement.with && statement.type !== 'select' && statement.type !== 'compound') {
+      outer = this.withEnv(statement.with, outer);
+    }
+
+    switch (statement.type) {
+      case 'createTable':
+        return this.createTable(statement);
+      case 'dropTable':
+        return this.dropTable(statement);
+      case 'alterTable':
+        return this.alterTable(statement);
+      case 'truncate':
+        return this.writeWithForeignKeys(statement.name, () => this.truncateTable(statement));
+      case 'pragma':
+        return this.pragma(statement);
+      case 'createIndex':
+        return this.createIndex(statement);
+      case 'dropIndex':
+        return this.dropIndex(statement);
+      case 'insert':
+        if (this.isSequenceTable(statement.table)) return this.writeSequence(statement, outer);
+        return this.writeWithForeignKeys(statement.table, () => this.insert(statement, outer));
+      case 'select':
+      case 'compound':
+        return this.select(statement, outer);
+      case 'update':
+        return this.writeWithForeignKeys(statement.table, () => this.update(statement, outer));
+      case 'delete':
+        if (this.isSequenceTable(statement.table)) return this.writeSequence(statement, outer);
+        return this.writeWithForeignKeys(statement.table, () => this.delete(statement, outer));
+      case 'begin':
+        this.beginTransaction();
+        return { success: true, message: 'Transaction started' };
+      case 'commit':
+        this.commitTransaction();
+        return { success: true, message: 'Transaction committed' };
+      case 'rollback':
+        if (statement.savepoint) {
+          this.rollbackToSavepoint(statement.savepoint);
+          return { success: true, message: `Rolled back to savepoint ${statement.savepoint}` };
         }
+        this.rollbackTransaction();
+        return { success: true, message: 'Transaction rolled back' };
+      case 'savepoint':
+        this.createSavepoint(statement.name);
+        return { success: true, message: `Savepoint ${statement.name} created` };
+      case 'release':
+        this.releaseSavepoint(statement.name);
+        return { success: true, message: `Savepoint ${statement.name} released` };
+      default:
+        throw new Error(`Unsupported statement: ${statement.type}`);
+    }
+  }
+
+  /**
+   * Wrap an error raised while preparing or executing a query
+   * @private
+   * @param {Error} error - The original error
+   * @returns {Error} The error to throw
+   */
+  queryError(error) {
+    if (error instanceof SQLSyntaxError || error instanceof ConstraintError) {
+      error.message = `Query execution failed: ${error.message}`;
+      return error;
+    }
+    return new Error(`Query execution failed: ${error.message}`);
+  }
+
+  /**
+   * Main method to execute SQL queries
+   *
+   * @param {string} query - The SQL query to execute
+   * @param {array|object} params - Values for ? or :name placeholders
+   * @returns {*} The query result (array for SELECT, object for other operations)
+   * @throws {SQLSyntaxError} If the query cannot be parsed
+   * @throws {Error} If the table doesn't exist or execution fails
+   *
+   * @example
+   * // Create table
+   * db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age INTEGER)');
+   *
+   * // Insert data
+   * db.execute("INSERT INTO users (id, name, age) VALUES (1, 'John', 30)");
+   *
+   * // Select data
+   * const users = db.execute('SELECT * FROM users WHERE age > 25 ORDER BY age DESC LIMIT 10');
+   *
+   * // Update data
+   * db.execute("UPDATE users SET age = 31 WHERE id = 1");
+   *
+   * // Delete data
+   * db.execute("DELETE FROM users WHERE id = 1");
+   *
+   * // Bind parameters
+   * db.execute('SELECT * FROM users WHERE name = ? AND age > ?', ["O'Brien", 25]);
+   */
+  execute(query, params) {
+    return this.prepare(query).run(params);
+  }
+
+  /**
+   * Compile a SQL statement once so it can be executed many times
+   *
+   * @param {string} query - The SQL query with optional ?, ?NNN, :name, $name or @name placeholders
+   * @returns {PreparedStatement} The prepared statement
+   * @throws {SQLSyntaxError} If the query cannot be parsed
+   *
+   * @example
+   * const insert = db.prepare('INSERT INTO users (id, name) VALUES (:id, :name)');
+   * insert.run({ id: 1, name: "O'Brien" });
+   *
+   * const byAge = db.prepare('SELECT * FROM users WHERE age > ?');
+   * const adults = byAge.all([18]);
+   * const first = byAge.get([18]);
+   */
+  prepare(query) {
+    try {
+      if (typeof query !== 'string' || !query.trim()) {
+        throw new Error('Query cannot be empty');
+      }
+      return new PreparedStatement(this, query);
+    } catch (error) {
+      // Re-throw the error so it can be caught by the caller
+      throw this.queryError(error);
+    }
+  }
+
+  /**
+   * Run a function inside a transaction. Commits when the function returns and
+   * rolls back when it throws. Nested calls use savepoints.
+   *
+   * @param {function} fn - Function receiving the database
+   * @returns {*} The function's return value
+   *
+   * @example
+   * db.transaction(() => {
+   *   db.execute('UPDATE accounts SET balance = 50 WHERE id = 1');
+   *   db.execute('UPDATE accounts SET balance = 150 WHERE id = 2');
+   * });
+   */
+  transaction(fn) {
+    const nested = this.transactionState !== null;
+    const savepoint = nested ? `_transaction_${this.transactionState.savepoints.length}` : null;
+
+    if (nested) {
+      this.createSavepoint(savepoint);
+    } else {
+      this.beginTransaction();
+    }
+
+    try {
+      const result = fn(this);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Transaction function cannot return a promise');
       }
-    } else if (joinType === 'RIGHT JOIN') {
-      for (let row2 of data2Actual) {
-        let matched = false;
-        for (let row1 of data1Actual) {
-          if (row1[key1] == row2[key2]) {
-            result.push(this.mergeRows(row1, row2, table1, table2));
-            matched = true;
-          }
-        }
-        if (!matched) {
-          const nullRow1 = {};
-          Object.keys(data1Actual[0] || {}).forEach(key => {
-            nullRow1[key] = null;
-          });
-          result.push(this.mergeRows(nullRow1, row2, table1, table2));
-        }
+      if (nested) {
+        this.releaseSavepoint(savepoint);
+      } else {
+        this.commitTransaction();
       }
+      return result;
+    } catch (error) {
+      // すでに終了している場合（関数内でCOMMIT/ROLLBACKした等）は何もしない
+      if (nested && this.transactionState && this.transactionState.savepoints.some(sp => sp.name === savepoint)) {
+        this.rollbackToSavepoint(savepoint);
+        this.releaseSavepoint(savepoint);
+      } else if (!nested && this.transactionState) {
+        this.rollbackTransaction();
+      }
+      throw error;
     }
-
-    return result;
   }
 
   /**
-   * Merge two rows from different tables
-   * @private
-   * @param {object} row1 - First row
-   * @param {object} row2 - Second row
-   * @param {string} table1Name - First table name
-   * @param {string} table2Name - Second table name
-   * @returns {object} Merged row
+   * Bring the schema up to date. Migrations newer than the stored schema
+   * version (PRAGMA user_version) run in version order, each in its own
+   * transaction together with the update of the version, so a failing step
+   * leaves the database at the previous version.
+   *
+   * @param {array} migrations - Steps as { version, up }; up(db) must be synchronous
+   * @returns {object} { from, to, applied } - Versions before and after, and the versions applied
+   * @throws {Error} If the migrations are invalid, the stored version is newer than
+   *   the latest migration, or a step fails (the error of the step, with the version added)
+   *
+   * @example
+   * db.migrate([
+   *   { version: 1, up: db => db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)') },
+   *   { version: 2, up: db => db.execute('ALTER TABLE users ADD COLUMN email TEXT') }
+   * ]);
    */
-  mergeRows(row1, row2, table1Name, table2Name) {
-    const merged = {};
+  migrate(migrations) {
+    if (!Array.isArray(migrations)) {
+      throw new Error('Migrations must be an array');
+    }
+    if (this.transactionState) {
+      throw new Error('Cannot migrate inside a transaction');
+    }
+    migrations.forEach(migration => {
+      if (!migration || !Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Invalid migration version: ${migration && migration.version}`);
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${migration.version} must have an up function`);
+      }
+    });
 
-    Object.keys(row1).forEach(key => {
-      merged[`${table1Name}.${key}`] = row1[key];
+    const sorted = migrations.slice().sort((a, b) => a.version - b.version);
+    sorted.forEach((migration, index) => {
+      if (index > 0 && sorted[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
     });
 
-    Object.keys(row2).forEach(key => {
-      merged[`${table2Name}.${key}`] = row2[key];
+    const from = this.userVersion;
+    const latest = sorted.length > 0 ? sorted[sorted.length - 1].version : 0;
+    if (from > latest) {
+      throw new Error(`Database schema version ${from} is newer than the latest migration (${latest})`);
+    }
+
+    const applied = [];
+    sorted.filter(migration => migration.version > from).forEach(migration => {
+      try {
+        this.transaction(() => {
+          const result = migration.up(this);
+          if (result && typeof result.then === 'function') {
+            throw new Error('Migration up function cannot return a promise');
+          }
+          this.setUserVersion(migration.version);
+        });
+      } catch (error) {
+        error.message = `Migration ${migration.version} failed: ${error.message}`;
+        throw error;
+      }
+      applied.push(migration.version);
     });
 
-    return merged;
+    return { from: from, to: this.userVersion, applied: applied };
   }
 
   /**
-   * Execute UPDATE query
-   * @private
-   * @param {string} query - The SQL query
-   * @returns {object} Result object
+   * Execute a script of SQL statements separated by semicolons. The whole
+   * script is parsed first, so a syntax error runs nothing; statements before
+   * a failing one stay executed unless the script uses a transaction.
+   *
+   * @param {string} script - The SQL script (placeholders are not allowed)
+   * @returns {array} The result of each statement
+   * @throws {SQLSyntaxError} If the script cannot be parsed
+   * @throws {Error} If a statement fails (the message includes its line)
+   *
+   * @example
+   * db.exec(`
+   *   CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT UNIQUE);
+   *   INSERT INTO tags (name) VALUES ('news'), ('sports');
+   * `);
    */
-  update(query) {
-    const match = query.match(/UPDATE\s+(\w+)\s+SET\s+(.*?)(?:\s+WHERE\s+(.+))?$/i);
-    if (!match) throw new Error('Invalid UPDATE syntax');
-
-    const tableName = match[1];
-    const setClause = match[2];
-    const whereClause = match[3];
-
-    if (!this.tables[tableName]) {
-      throw new Error(`Table ${tableName} does not exist`);
+  exec(script) {
+    let parser;
+    let statements;
+    let params;
+    try {
+      if (typeof script !== 'string') {
+        throw new Error('Script must be a string');
+      }
+      parser = new SQLParser(script);
+      statements = parser.parseScript();
+      params = this.bindParameters(undefined, parser);
+    } catch (error) {
+      throw this.queryError(error);
     }
 
-    const updates = {};
-    setClause.split(',').forEach(part => {
-      const [col, val] = part.split('=').map(s => s.trim());
-      updates[col] = this.parseValue(val);
-    });
-
-    let data = this.getTableData(tableName);
-    let updatedCount = 0;
-
-    data = data.map(row => {
-      if (!whereClause || this.evaluateWhere(row, whereClause, tableName)) {
-        Object.assign(row, updates);
-        updatedCount++;
+    return statements.map(({ statement, line }) => {
+      try {
+        return this.executeStatement(statement, params);
+      } catch (error) {
+        const wrapped = this.queryError(error);
+        wrapped.message += ` (statement at line ${line})`;
+        throw wrapped;
       }
-      return row;
     });
-
-    this.saveTableData(tableName, data);
-
-    return { success: true, message: `${updatedCount} rows updated in ${tableName}` };
   }
 
   /**
-   * Execute DELETE query
-   * @private
-   * @param {string} query - The SQL query
-   * @returns {object} Result object
+   * Write the whole database as a SQL script: CREATE TABLE statements with
+   * their constraints, an INSERT for every row, the AUTOINCREMENT sequences
+   * (as sqlite_sequence rows), CREATE INDEX statements and PRAGMA
+   * user_version. The script can be replayed with restore() or exec() and
+   * read by the sqlite3 command-line shell.
+   *
+   * @returns {string} The SQL script
+   *
+   * @example
+   * const backup = db.dump();
+   * const copy = new LocalDB('copy');
+   * copy.restore(backup);
    */
-  delete(query) {
-    const match = query.match(/DELETE\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+))?$/i);
-    if (!match) throw new Error('Invalid DELETE syntax');
+  dump() {
+    this.statementCount++;
+    const lines = ['PRAGMA foreign_keys = OFF;', 'BEGIN TRANSACTION;'];
+    const indexes = [];
+
+    this.getTables().forEach(tableName => {
+      const schema = this.tables[tableName];
+      const table = this.sqlIdentifier(tableName);
+      const columns = Object.keys(schema.columns);
+      const columnList = columns.map(col => this.sqlIdentifier(col)).join(', ');
+
+      lines.push(`${this.dumpCreateTable(tableName)};`);
+      // 隠しrowidは出力しない（復元時に振り直される）
+      this.getTableData(tableName).forEach(row => {
+        const values = columns.map(col => this.sqlLiteral(row[col] === undefined ? null : row[col]));
+        lines.push(`INSERT INTO ${table} (${columnList}) VALUES (${values.join(', ')});`);
+      });
 
-    const tableName = match[1];
-    const whereClause = match[2];
+      (schema.indexes || []).forEach(index => {
+        indexes.push(
+          `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${this.sqlIdentifier(index.name)} ON ${table} ` +
+          `(${index.columns.map(col => this.sqlIdentifier(col)).join(', ')});`
+        );
+      });
+    });
 
-    if (!this.tables[tableName]) {
-      throw new Error(`Table ${tableName} does not exist`);
+    // 削除された行のidが再利用されないよう、AUTOINCREMENTの連番も出力する
+    const sequences = this.getTables().filter(name => this.tables[name].autoincrement && this.tables[name].sequence > 0);
+    if (sequences.length > 0) {
+      lines.push('DELETE FROM "sqlite_sequence";');
+      sequences.forEach(name => {
+        lines.push(`INSERT INTO "sqlite_sequence" ("name", "seq") VALUES (${this.sqlLiteral(name)}, ${this.tables[name].sequence});`);
+      });
     }
 
-    let data = this.getTableData(tableName);
-    const initialCount = data.length;
-
-    if (whereClause) {
-      data = data.filter(row => !this.evaluateWhere(row, whereClause, tableName));
-    } else {
-      data = [];
+    lines.push(...indexes);
+    if (this.userVersion !== 0) {
+      lines.push(`PRAGMA user_version = ${this.userVersion};`);
     }
-
-    const deletedCount = initialCount - data.length;
-    this.saveTableData(tableName, data);
-
-    return { success: true, message: `${deletedCount} rows deleted from ${tableName}` };
+    lines.push('COMMIT;');
+    return lines.join('\n') + '\n';
   }
 
   /**
-   * Evaluate WHERE clause
-   * @private
-   * @param {object} row - The data row
-   * @param {string} whereClause - The WHERE clause
-   * @param {string} tableName - The table name
-   * @returns {boolean} Evaluation result
-   */
-  evaluateWhere(row, whereClause, tableName = null) {
-    // EXISTS または NOT EXISTS を検出
-    const existsRegex = /(NOT\s+)?EXISTS\s*\((SELECT\s+.+?)\)(?=\s*(AND|OR|$))/i;
-    const existsMatch = whereClause.match(existsRegex);
-
-    if (existsMatch) {
-      return this.evaluateExistsCondition(row, whereClause, existsMatch, tableName);
-    }
-
-    // IN/NOT INを括弧のネストに対応して保護
-    const protectedConditions = [];
-    let protectedIndex = 0;
-    let processedClause = '';
-    let i = 0;
-
-    while (i < whereClause.length) {
-      // IN または NOT IN を検出
-      const inMatch = whereClause.substr(i).match(/^(\w+\s+(?:NOT\s+)?IN\s*\()/i);
-      
-      if (inMatch) {
-        // 括弧の開始位置を見つける
-        const parenStart = i + inMatch[0].length - 1;
-        let parenDepth = 1;
-        let j = parenStart + 1;
-
-        // マッチする閉じ括弧を見つける
-        while (j < whereClause.length && parenDepth > 0) {
-          if (whereClause[j] === '(') parenDepth++;
-          else if (whereClause[j] === ')') parenDepth--;
-          j++;
-        }
+   * Load a script made by dump() into an empty database. If the script
+   * fails, everything it created is removed again.
+   *
+   * @param {string} script - The SQL script
+   * @throws {Error} If the database already has tables, a transaction is open or the script fails
+   *
+   * @example
+   * db.restore(localStorage.getItem('backup'));
+   */
+  restore(script) {
+    if (this.transactionState) {
+      throw new Error('Cannot restore inside a transaction');
+    }
+    if (this.getTables().length > 0) {
+      throw new Error('Cannot restore into a database that already has tables');
+    }
 
-        // IN条件全体を保護
-        const inCondition = whereClause.substring(i, j);
-        protectedConditions.push(inCondition);
-        processedClause += `__PROTECTED_${protectedIndex++}__`;
-        i = j;
-      } else {
-        // IN/NOT INが見つからない場合は通常の文字をコピー
-        processedClause += whereClause[i];
-        i++;
+    // スクリプト内の PRAGMA foreign_keys はこのデータベースの設定に残さない
+    const foreignKeys = this.foreignKeys;
+    try {
+      this.exec(script);
+      if (this.transactionState) {
+        throw new Error('Script did not commit its transaction');
+      }
+    } catch (error) {
+      if (this.transactionState) {
+        this.rollbackTransaction();
       }
+      this.clear();
+      throw error;
+    } finally {
+      this.foreignKeys = foreignKeys;
     }
+  }
 
-    // 基本的な条件をAND/ORで分割
-    const conditions = processedClause.split(/\s+(AND|OR)\s+/i);
-    let result = true;
-    let operator = 'AND';
-
-    for (let i = 0; i < conditions.length; i++) {
-      const condition = conditions[i];
+  /**
+   * Import CSV text (RFC 4180) into a table in one write. Values are
+   * converted to the types of the declared columns; numbers are recognized
+   * in columns without a type. An unquoted empty field is NULL and a quoted
+   * one ("") is empty text. A missing table is created with column types
+   * inferred from the data.
+   *
+   * @param {string} tableName - The name of the table
+   * @param {string} text - The CSV text
+   * @param {object} options - Options
+   * @param {boolean} options.header - The first record holds the column names (default: true)
+   * @param {array|object} options.columns - Column names of the CSV fields (array), or a map
+   *   from header names to column names where null skips the field (object)
+   * @param {string} options.delimiter - Field delimiter (default: ',')
+   * @param {boolean} options.create - Create the table if it does not exist (default: true)
+   * @returns {object} Result object with changes and lastInsertRowid
+   * @throws {Error} If the CSV is malformed or a row cannot be inserted (nothing is imported)
+   *
+   * @example
+   * db.importCSV('products', 'id,name,price\r\n1,Pen,1.5\r\n2,"Paper, A4",4\r\n');
+   */
+  importCSV(tableName, text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('CSV text must be a string');
+    }
+    const delimiter = options.delimiter === undefined ? ',' : options.delimiter;
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
 
-      if (condition.toUpperCase() === 'AND' || condition.toUpperCase() === 'OR') {
-        operator = condition.toUpperCase();
-        continue;
+    const records = this.parseCSV(text, delimiter);
+    let names = Array.isArray(options.columns) ? options.columns : null;
+    if (options.header !== false) {
+      const header = records.shift() || [];
+      if (header.some(name => name === null)) {
+        throw new Error('CSV header has an empty column name');
       }
-
-      if (/EXISTS/i.test(condition)) {
-        continue;
+      names = names || header;
+    } else if (!names) {
+      if (!this.tables[tableName]) {
+        throw new Error('Column names are required to import CSV without a header into a new table');
       }
+      names = Object.keys(this.tables[tableName].columns);
+    }
 
-      // 保護されていた条件を復元
-      let actualCondition = condition.trim();
-      for (let j = 0; j < protectedConditions.length; j++) {
-        actualCondition = actualCondition.replace(`__PROTECTED_${j}__`, protectedConditions[j]);
+    records.forEach((record, index) => {
+      if (record.length !== names.length) {
+        throw new Error(`CSV record ${index + 1} has ${record.length} fields but ${names.length} columns are expected`);
       }
+    });
+    return this.importRecords(tableName, names, records, options, true);
+  }
 
-      const conditionResult = this.evaluateCondition(row, actualCondition, tableName);
-
-      if (operator === 'AND') {
-        result = result && conditionResult;
-      } else {
-        result = result || conditionResult;
-      }
+  /**
+   * Import an array of objects (or JSON text of one) into a table in one
+   * write. A key missing from an object leaves the column to its DEFAULT.
+   * A missing table is created with column types inferred from the data.
+   *
+   * @param {string} tableName - The name of the table
+   * @param {array|string} rows - Objects mapping column names to values, or JSON text
+   * @param {object} options - Options
+   * @param {object} options.columns - Map from keys to column names; null skips the key
+   * @param {boolean} options.create - Create the table if it does not exist (default: true)
+   * @returns {object} Result object with changes and lastInsertRowid
+   * @throws {Error} If a value is not supported or a row cannot be inserted (nothing is imported)
+   *
+   * @example
+   * db.importJSON('users', [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob', joined: new Date() }]);
+   */
+  importJSON(tableName, rows, options = {}) {
+    if (typeof rows === 'string') {
+      rows = JSON.parse(rows);
+    }
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('JSON data must be an array of objects');
     }
 
-    return result;
+    // すべての行のキーを最初に現れた順に集める
+    const names = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!names.includes(key)) names.push(key);
+    }));
+    const records = rows.map((row, index) => names.map(name => {
+      const value = Object.prototype.hasOwnProperty.call(row, name) ? row[name] : undefined;
+      if (value === undefined || value === null || value instanceof Date || ['string', 'number', 'boolean'].includes(typeof value)) {
+        return value;
+      }
+      throw new Error(`Unsupported value for column ${name} in row ${index + 1}: ${typeof value}`);
+    }));
+    return this.importRecords(tableName, names, records, options, false);
   }
 
   /**
-   * Evaluate EXISTS/NOT EXISTS conditions
-   * @private
-   * @param {object} row - The data row
-   * @param {string} whereClause - The WHERE clause
-   * @param {array} existsMatch - The regex match result
-   * @param {string} tableName - The table name
-   * @returns {boolean} Evaluation result
+   * Run a SELECT and return the result as CSV (RFC 4180: CRLF line breaks,
+   * fields quoted when needed). NULL is an empty field and empty text is "".
+   *
+   * @param {string} query - The SELECT statement
+   * @param {array|object} params - Values for the placeholders
+   * @param {object} options - Options
+   * @param {boolean} options.header - Write the column names first (default: true)
+   * @param {string} options.delimiter - Field delimiter (default: ',')
+   * @returns {string} The CSV text
+   *
+   * @example
+   * const csv = db.exportCSV('SELECT id, name FROM users WHERE age > ?', [20]);
    */
-  evaluateExistsCondition(row, whereClause, existsMatch, tableName) {
-    const [fullMatch, notKeyword, subquery] = existsMatch;
-    const isNotExists = notKeyword && notKeyword.trim().toUpperCase() === 'NOT';
+  exportCSV(query, params, options = {}) {
+    const delimiter = options.delimiter === undefined ? ',' : options.delimiter;
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
 
-    const subqueryWithValues = this.correlateSubquery(subquery, row, tableName);
-    
-    try {
-      const subqueryResult = this.execute(subqueryWithValues);
-      const exists = Array.isArray(subqueryResult) && subqueryResult.length > 0;
+    const result = this.queryResult(query, params, 'exportCSV');
+    const field = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return text === '' || text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-      const conditionResult = isNotExists ? !exists : exists;
+    const lines = result.rows.map(row => result.columns.map(col => field(row[col])).join(delimiter));
+    if (options.header !== false) {
+      lines.unshift(result.columns.map(field).join(delimiter));
+    }
+    return lines.map(line => `${line}\r\n`).join('');
+  }
 
-      const remainingWhere = whereClause.replace(fullMatch, '').trim();
-      
-      if (remainingWhere) {
-        const remainingResult = this.evaluateWhere(row, remainingWhere, tableName);
-        return conditionResult && remainingResult;
-      }
+  /**
+   * Run a SELECT and return the rows as JSON text
+   *
+   * @param {string} query - The SELECT statement
+   * @param {array|object} params - Values for the placeholders
+   * @returns {string} JSON array of row objects
+   *
+   * @example
+   * const json = db.exportJSON('SELECT * FROM users');
+   */
+  exportJSON(query, params) {
+    return JSON.stringify(this.queryResult(query, params, 'exportJSON').rows);
+  }
 
-      return conditionResult;
+  /**
+   * Run a SELECT for an export and return its columns and rows
+   * @private
+   */
+  queryResult(query, params, method) {
+    const statement = this.prepare(query);
+    if (!statement.reader) {
+      throw new Error(`${method}() can only be used with SELECT statements`);
+    }
+    try {
+      this.statementCount++;
+      return this.runQuery(statement.statement, this.bindParameters(params, statement.parser));
     } catch (error) {
-      throw new Error(`Subquery error: ${error.message}`);
+      throw this.queryError(error);
     }
   }
 
   /**
-   * Correlate subquery with outer query values
+   * Insert imported records, creating the table if needed, in one
+   * transaction so the table is written once
    * @private
-   * @param {string} subquery - The subquery
-   * @param {object} row - The outer row
-   * @param {string} tableName - The table name
-   * @returns {string} Correlated subquery
+   * @param {string} tableName - The name of the table
+   * @param {array} names - Field names
+   * @param {array} records - Arrays of values (undefined: use the column's DEFAULT)
+   * @param {object} options - Import options (columns, create)
+   * @param {boolean} fromText - Values are text: recognize numbers in columns without a type
+   * @returns {object} Result object
    */
-  correlateSubquery(subquery, row, tableName) {
-    let correlatedQuery = subquery;
+  importRecords(tableName, names, records, options, fromText) {
+    // 名前の対応表を適用し、null に対応づけられたフィールドは除く
+    const mapping = options.columns && !Array.isArray(options.columns) ? options.columns : {};
+    const fields = [];
+    names.forEach((name, index) => {
+      const column = Object.prototype.hasOwnProperty.call(mapping, name) ? mapping[name] : name;
+      if (column === null) return;
+      if (fields.some(field => field.column === column)) {
+        throw new Error(`Duplicate column name: ${column}`);
+      }
+      fields.push({ column: column, index: index });
+    });
 
-    if (tableName) {
-      Object.keys(row).forEach(col => {
-        const pattern = new RegExp(`${tableName}\\.${col}\\b`, 'gi');
-        correlatedQuery = correlatedQuery.replace(pattern, this.formatValue(row[col]));
+    return this.transaction(() => {
+      if (!this.tables[tableName]) {
+        if (options.create === false) {
+          throw new Error(`Table ${tableName} does not exist`);
+        }
+        const definitions = fields.map(field => {
+          const type = this.inferColumnType(records.map(record => record[field.index]));
+          return `${this.sqlIdentifier(field.column)}${type ? ` ${type}` : ''}`;
+        });
+        this.executeStatement(SQLParser.parse(`CREATE TABLE ${this.sqlIdentifier(tableName)} (${definitions.join(', ')})`));
+      }
+      fields.forEach(field => this.assertColumnExists(tableName, field.column));
+
+      const numeric = fields.map(field => fromText && this.columnAffinity(tableName, field.column) === null);
+      const value = (record, i) => {
+        const raw = record[fields[i].index];
+        if (raw instanceof Date) return this.checkParameterValue(raw, fields[i].column);
+        return numeric[i] && typeof raw === 'string' && NUMERIC_TEXT.test(raw) && !/^\s*[+-]?0\d/.test(raw) ? Number(raw) : raw;
+      };
+
+      // 同じキーを持つ連続した行をまとめて1つのINSERTにする
+      const result = { success: true, message: '', changes: 0, lastInsertRowid: null };
+      let batch = null;
+      const flush = () => {
+        if (!batch) return;
+        const inserted = this.executeStatement({
+          type: 'insert',
+          table: tableName,
+          alias: null,
+          columns: batch.columns,
+          rows: batch.rows,
+          query: null,
+          conflict: null,
+          upsert: null
+        });
+        result.changes += inserted.changes;
+        result.lastInsertRowid = inserted.lastInsertRowid;
+        batch = null;
+      };
+      records.forEach(record => {
+        const present = fields.map((field, i) => i).filter(i => record[fields[i].index] !== undefined);
+        const signature = present.join(',');
+        if (batch && batch.signature !== signature) flush();
+        if (!batch) {
+          batch = { signature: signature, columns: present.map(i => fields[i].column), rows: [] };
+        }
+        batch.rows.push(present.map(i => ({ type: 'literal', value: value(record, i) })));
       });
-    }
+      flush();
 
-    return correlatedQuery;
+      result.message = `${result.changes} ${result.changes === 1 ? 'row' : 'rows'} imported into ${tableName}`;
+      return result;
+    });
   }
 
   /**
-   * Format value as SQL string
+   * Column type for imported values: INTEGER, REAL, BOOLEAN, DATETIME or
+   * TEXT when every value fits, no type for mixed values. Text with a
+   * leading zero such as '007' stays TEXT.
    * @private
-   * @param {*} value - The value to format
-   * @returns {string} Formatted value
    */
-  formatValue(value) {
-    if (value === null || value === undefined) {
-      return 'NULL';
-    } else if (typeof value === 'string') {
-      return `'${value}'`;
-    }
-    return String(value);
+  inferColumnType(values) {
+    const present = values.filter(value => value !== null && value !== undefined);
+    const all = test => present.length > 0 && present.every(test);
+    const numeric = value => typeof value === 'number' ||
+      (typeof value === 'string' && NUMERIC_TEXT.test(value) && !/^\s*[+-]?0\d/.test(value));
+
+    if (all(value => typeof value === 'boolean')) return 'BOOLEAN';
+    if (all(value => value instanceof Date)) return 'DATETIME';
+    if (all(numeric)) return all(value => Number.isInteger(Number(value))) ? 'INTEGER' : 'REAL';
+    if (present.length === 0 || all(value => typeof value === 'string')) return 'TEXT';
+    return '';
   }
 
   /**
-   * Evaluate a single condition
+   * Split CSV text into records of fields (RFC 4180). An unquoted empty
+   * field is null; blank lines are skipped.
    * @private
-   * @param {object} row - The data row
-   * @param {string} condition - The condition
-   * @param {string} tableName - The table name
-   * @returns {boolean} Evaluation result
-   */
-  evaluateCondition(row, condition, tableName = null) {
-    condition = condition.trim();
-
-    // LIKE演算子
-    const likeMatch = condition.match(/(\w+)\s+LIKE\s+(.+)/i);
-    if (likeMatch) {
-      const col = likeMatch[1];
-      const pattern = this.parseValue(likeMatch[2]);
-      const regex = new RegExp('^' + pattern.replace(/%/g, '.*').replace(/_/g, '.') + '$');
-      return regex.test(String(row[col] || ''));
-    }
-
-    // NOT IN演算子（サブクエリ対応）★ INより先にチェック！
-    const notInMatch = condition.match(/(\w+)\s+NOT\s+IN\s*\((.*?)\)(?:\s|$)/i);
-    if (notInMatch) {
-      const col = notInMatch[1];
-      const innerContent = notInMatch[2].trim();
-      
-      // サブクエリかどうかを判定
-      if (innerContent.toUpperCase().startsWith('SELECT')) {
-        // サブクエリの場合
-        try {
-          const subqueryResult = this.execute(innerContent);
-          const values = Array.isArray(subqueryResult) ? subqueryResult.map(r => {
-            return Object.values(r)[0];
-          }) : [subqueryResult];
-          return !values.includes(row[col]);
-        } catch (error) {
-          throw new Error(`Subquery error in NOT IN: ${error.message}`);
-        }
-      } else {
-        // 通常の値リストの場合
-        const values = innerContent.split(',').map(v => this.parseValue(v.trim()));
-        return !values.includes(row[col]);
-      }
-    }
+   * @param {string} text - The CSV text
+   * @param {string} delimiter - Field delimiter
+   * @returns {array} Arrays of field values
+   * @throws {Error} If a quoted field is malformed
+   */
+  parseCSV(text, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let inQuotes = false;
+    let line = 1;
+
+    const endField = () => {
+      record.push(field === '' && !quoted ? null : field);
+      field = '';
+      quoted = false;
+    };
+    const endRecord = () => {
+      const blank = record.length === 0 && field === '' && !quoted;
+      endField();
+      if (!blank) records.push(record);
+      record = [];
+    };
 
-    // IN演算子（サブクエリ対応）
-    const inMatch = condition.match(/(\w+)\s+IN\s*\((.*?)\)(?:\s|$)/i);
-    if (inMatch) {
-      const col = inMatch[1];
-      const innerContent = inMatch[2].trim();
-      
-      // サブクエリかどうかを判定
-      if (innerContent.toUpperCase().startsWith('SELECT')) {
-        // サブクエリの場合
-        try {
-          const subqueryResult = this.execute(innerContent);
-          const values = Array.isArray(subqueryResult) ? subqueryResult.map(r => {
-            // 結果の最初のカラム値を取得
-            return Object.values(r)[0];
-          }) : [subqueryResult];
-          return values.includes(row[col]);
-        } catch (error) {
-          throw new Error(`Subquery error in IN: ${error.message}`);
+    // 先頭のBOMは読み飛ばす
+    for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+      const c = text[i];
+      if (inQuotes) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          inQuotes = false;
+        } else {
+          if (c === '\n') line++;
+          field += c;
         }
+      } else if (c === delimiter) {
+        endField();
+      } else if (c === '\r' || c === '\n') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+      } else if (quoted) {
+        throw new Error(`Invalid CSV: unexpected character after a closing quote at line ${line}`);
+      } else if (c === '"') {
+        if (field !== '') {
+          throw new Error(`Invalid CSV: unexpected quote in an unquoted field at line ${line}`);
+        }
+        inQuotes = true;
+        quoted = true;
       } else {
-        // 通常の値リストの場合
-        const values = innerContent.split(',').map(v => this.parseValue(v.trim()));
-        return values.includes(row[col]);
+        field += c;
       }
     }
 
-    // BETWEEN演算子
-    const betweenMatch = condition.match(/(\w+)\s+BETWEEN\s+(.+?)\s+AND\s+(.+?)(?=\s*$)/i);
-    if (betweenMatch) {
-      const col = betweenMatch[1];
-      const min = this.parseValue(betweenMatch[2]);
-      const max = this.parseValue(betweenMatch[3]);
-      return row[col] >= min && row[col] <= max;
+    if (inQuotes) {
+      throw new Error('Invalid CSV: unterminated quoted field');
     }
-
-    // IS NULL / IS NOT NULL
-    const isNullMatch = condition.match(/(\w+)\s+IS\s+(NOT\s+)?NULL/i);
-    if (isNullMatch) {
-      const col = isNullMatch[1];
-      const isNotNull = isNullMatch[2] && isNullMatch[2].trim().toUpperCase() === 'NOT';
-      const isNull = row[col] === null || row[col] === undefined;
-      return isNotNull ? !isNull : isNull;
+    if (record.length > 0 || field !== '' || quoted) {
+      endRecord();
     }
+    return records;
+  }
 
-    // 標準的な比較演算子（サブクエリ対応）
-    const operators = ['>=', '<=', '!=', '<>', '=', '>', '<'];
-    let op, col, val;
-
-    for (const operator of operators) {
-      if (condition.includes(operator)) {
-        [col, val] = condition.split(operator).map(s => s.trim());
-        op = operator;
-        break;
+  /**
+   * CREATE TABLE statement reproducing a table's schema
+   * @private
+   * @param {string} tableName - The name of the table
+   * @returns {string} The statement (without semicolon)
+   */
+  dumpCreateTable(tableName) {
+    const schema = this.tables[tableName];
+    const singleKey = schema.primaryKey.length === 1 ? schema.primaryKey[0] : null;
+
+    // DEFAULT はリテラル以外を括弧で囲む（SQLiteの構文に合わせる）
+    const literal = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|'([^']|'')*'|NULL|TRUE|FALSE|CURRENT_(TIMESTAMP|DATE|TIME)|\(.*\))$/is;
+    const definitions = Object.keys(schema.columns).map(col => {
+      const parts = [this.sqlIdentifier(col)];
+      if (schema.types[col]) parts.push(schema.types[col]);
+      if (col === singleKey) parts.push(schema.autoincrement ? 'PRIMARY KEY AUTOINCREMENT' : 'PRIMARY KEY');
+      if (schema.notNull.includes(col)) parts.push('NOT NULL');
+      if (Object.prototype.hasOwnProperty.call(schema.defaults, col)) {
+        const text = schema.defaults[col].trim();
+        parts.push(`DEFAULT ${literal.test(text) ? text : `(${text})`}`);
       }
+      schema.checks.filter(check => check.column === col).forEach(check => parts.push(`CHECK (${check.expr})`));
+      return parts.join(' ');
+    });
+
+    const columnList = columns => columns.map(col => this.sqlIdentifier(col)).join(', ');
+    if (schema.primaryKey.length > 1) {
+      definitions.push(`PRIMARY KEY (${columnList(schema.primaryKey)})`);
     }
+    schema.unique.forEach(columns => definitions.push(`UNIQUE (${columnList(columns)})`));
+    schema.checks.filter(check => check.column === null).forEach(check => {
+      definitions.push(`${check.name ? `CONSTRAINT ${this.sqlIdentifier(check.name)} ` : ''}CHECK (${check.expr})`);
+    });
+    schema.foreignKeys.forEach(key => {
+      let text = `FOREIGN KEY (${columnList(key.columns)}) REFERENCES ${this.sqlIdentifier(key.table)}`;
+      if (key.references) text += ` (${columnList(key.references)})`;
+      if (key.onDelete !== 'NO ACTION') text += ` ON DELETE ${key.onDelete}`;
+      if (key.onUpdate !== 'NO ACTION') text += ` ON UPDATE ${key.onUpdate}`;
+      definitions.push(text);
+    });
+
+    return `CREATE TABLE ${this.sqlIdentifier(tableName)} (${definitions.join(', ')})`;
+  }
 
-    if (!op) return false;
+  /**
+   * Always-quoted identifier, safe for both LocalDB and SQLite
+   * @private
+   */
+  sqlIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+  }
 
-    if (col.includes('.')) {
-      col = col.split('.')[1];
+  /**
+   * SQL literal for a stored value
+   * @private
+   * @param {*} value - The value
+   * @returns {string} The literal
+   */
+  sqlLiteral(value) {
+    if (value === null) return 'NULL';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') {
+      if (isNaN(value)) return 'NULL';
+      // SQLite と同じく無限大は 1e999 と書く
+      if (!isFinite(value)) return value > 0 ? '1e999' : '-1e999';
+      return String(value);
     }
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
 
-    // 右側がサブクエリかどうかを判定
-    if (val.toUpperCase().startsWith('SELECT')) {
-      try {
-        const subqueryResult = this.execute(val);
-        // スカラーサブクエリ（単一値を返す）
-        if (Array.isArray(subqueryResult) && subqueryResult.length > 0) {
-          // 最初のカラムの最初の値を使用
-          val = Object.values(subqueryResult[0])[0];
-        } else if (typeof subqueryResult === 'number' || typeof subqueryResult === 'string') {
-          val = subqueryResult;
-        } else {
-          return false;
-        }
-      } catch (error) {
-        throw new Error(`Subquery error: ${error.message}`);
-      }
-    } else {
-      val = this.parseValue(val);
+  /**
+   * Register a JavaScript function that can be called from SQL. A function
+   * with the name of a built-in scalar function replaces it.
+   *
+   * @param {string} name - The function name (case-insensitive)
+   * @param {function} fn - Called with the evaluated arguments; returns a string, number, boolean, Date or null
+   * @param {object} options - Options
+   * @param {boolean} options.deterministic - The result depends only on the arguments, so results may be reused (default: false)
+   * @param {number} options.argCount - Required number of arguments (default: -1, any number)
+   * @throws {Error} If the name or options are invalid
+   *
+   * @example
+   * db.registerFunction('slugify', text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-'), { deterministic: true, argCount: 1 });
+   * db.execute('SELECT slugify(title) AS slug FROM posts');
+   */
+  registerFunction(name, fn, options = {}) {
+    const upper = this.userFunctionName(name);
+    if (typeof fn !== 'function') {
+      throw new Error('Function must be a function');
+    }
+    const argCount = options.argCount === undefined ? -1 : options.argCount;
+    if (!Number.isInteger(argCount) || argCount < -1) {
+      throw new Error(`Invalid argCount for function ${upper}(): ${options.argCount}`);
     }
 
-    const rowValue = row[col];
+    this.aggregates.delete(upper);
+    this.functions.set(upper, {
+      name: upper,
+      fn: fn,
+      argCount: argCount,
+      // 決定的な関数は同じ引数の結果を再利用する
+      results: options.deterministic === true ? new Map() : null
+    });
+  }
 
-    switch (op) {
-      case '=':
-        return rowValue == val;
-      case '!= ':
-      case '<>':
-        return rowValue != val;
-      case '>':
-        return rowValue > val;
-      case '<':
-        return rowValue < val;
-      case '>=':
-        return rowValue >= val;
-      case '<=':
-        return rowValue <= val;
-      default:
-        return false;
+  /**
+   * Register an aggregate function implemented in JavaScript. It can be used
+   * like SUM(): in grouped SELECTs, HAVING, ORDER BY and with OVER (...).
+   * For each group, init() creates the state, step() is called once per row
+   * (NULL arguments included) and finalize() turns the state into the result.
+   *
+   * @param {string} name - The function name (case-insensitive)
+   * @param {object} definition - The aggregate
+   * @param {function} definition.init - Returns the initial state (default: null)
+   * @param {function} definition.step - Called as step(state, ...args); returns the new state, or undefined to keep a mutated one
+   * @param {function} definition.finalize - Called as finalize(state); returns the result (default: the state)
+   * @throws {Error} If the name or definition is invalid
+   *
+   * @example
+   * db.registerAggregate('median', {
+   *   init: () => [],
+   *   step: (values, value) => { if (value !== null) values.push(value); },
+   *   finalize: values => {
+   *     if (values.length === 0) return null;
+   *     const sorted = values.slice().sort((a, b) => a - b);
+   *     const middle = Math.floor(sorted.length / 2);
+   *     return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+   *   }
+   * });
+   * db.execute('SELECT dept, median(salary) AS median FROM employees GROUP BY dept');
+   */
+  registerAggregate(name, definition) {
+    const upper = this.userFunctionName(name);
+    if (!definition || typeof definition.step !== 'function') {
+      throw new Error(`Aggregate ${upper}() must have a step function`);
     }
+    ['init', 'finalize'].forEach(key => {
+      if (definition[key] !== undefined && typeof definition[key] !== 'function') {
+        throw new Error(`${key} of aggregate ${upper}() must be a function`);
+      }
+    });
+
+    this.functions.delete(upper);
+    this.aggregates.set(upper, {
+      name: upper,
+      init: definition.init || (() => null),
+      step: definition.step,
+      finalize: definition.finalize || (state => state)
+    });
   }
 
   /**
-   * Parse a single value
+   * Validate the name of a function to register
    * @private
-   * @param {string} val - The value string
-   * @returns {*} The parsed value
+   * @param {string} name - The function name
+   * @returns {string} The upper-cased name
    */
-  parseValue(val) {
-    val = val.trim();
-    if ((val.startsWith("'") && val.endsWith("'")) || (val.startsWith('"') && val.endsWith('"'))) {
-      return val.slice(1, -1);
+  userFunctionName(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid function name: ${name}`);
     }
-    if (!isNaN(val) && val !== '') {
-      return Number(val);
+    const upper = name.toUpperCase();
+    if (AGGREGATE_FUNCTIONS.has(upper) || WINDOW_FUNCTIONS.has(upper) || upper === 'CAST') {
+      throw new Error(`Cannot redefine function ${upper}()`);
     }
-    return val;
+    return upper;
   }
 
   /**
-   * Parse multiple values from a VALUES clause
-   * @private
-   * @param {string} valuesStr - The values string
-   * @returns {array} Array of parsed values
+   * Listen for changes. A 'change' listener is called with { table, op, rows }
+   * after each INSERT, UPDATE or DELETE (op 'insert', 'update' or 'delete';
+   * rows are the inserted, updated or deleted rows) and after CREATE, DROP and
+   * ALTER TABLE (op 'schema', rows empty). Changes made in a transaction are
+   * delivered when it commits and never when it rolls back. The change is
+   * already saved when a listener runs: an error thrown by a listener is
+   * reported asynchronously and does not reach the code that made the change.
+   *
+   * @param {string} event - The event name ('change')
+   * @param {function} listener - Called with the change
+   * @returns {function} Call to remove the listener
+   * @throws {Error} If the event is unknown or the listener is not a function
+   *
+   * @example
+   * const off = db.on('change', ({ table, op, rows }) => {
+   *   console.log(`${rows.length} rows: ${op} on ${table}`);
+   * });
+   * off();
    */
-  parseValues(valuesStr) {
-    const values = [];
-    let current = '';
-    let inString = false;
-    let stringChar = '';
+  on(event, listener) {
+    if (event !== 'change') {
+      throw new Error(`Unknown event: ${event}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+    this.changeListeners.add(listener);
+    return () => this.off(event, listener);
+  }
 
-    for (let char of valuesStr) {
-      if ((char === "'" || char === '"') && !inString) {
-        inString = true;
-        stringChar = char;
-        current += char;
-      } else if (char === stringChar && inString) {
-        inString = false;
-        current += char;
-      } else if (char === ',' && !inString) {
-        values.push(this.parseValue(current));
-        current = '';
-      } else {
-        current += char;
-      }
+  /**
+   * Remove a listener added with on()
+   *
+   * @param {string} event - The event name ('change')
+   * @param {function} listener - The listener
+   */
+  off(event, listener) {
+    if (event === 'change') {
+      this.changeListeners.delete(listener);
     }
+  }
 
-    if (current) {
-      values.push(this.parseValue(current));
+  /**
+   * Run a SELECT now and again whenever a table it reads from changes, calling
+   * back with the rows each time the result differs from the last one.
+   * If running it again fails (e.g. the table was dropped), the callback
+   * receives null and the error.
+   *
+   * @param {string} query - The SELECT query
+   * @param {array|object} params - Values for the placeholders
+   * @param {function} callback - Called as callback(rows) or callback(null, error)
+   * @returns {function} Call to stop the live query
+   * @throws {SQLSyntaxError} If the query cannot be parsed
+   * @throws {Error} If the query is not a SELECT or its first run fails
+   *
+   * @example
+   * const stop = db.liveQuery('SELECT * FROM todos WHERE done = ?', [false], rows => render(rows));
+   * db.execute("INSERT INTO todos (title, done) VALUES ('Write docs', FALSE)"); // render() is called again
+   * stop();
+   */
+  liveQuery(query, params, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    const statement = this.prepare(query);
+    if (!statement.reader) {
+      throw new Error('liveQuery() can only be used with SELECT statements');
     }
 
-    return values;
+    const rows = statement.run(params);
+    const live = { statement: statement, params: params, callback: callback, snapshot: JSON.stringify(rows) };
+    callback(rows);
+    this.liveQueries.add(live);
+    return () => {
+      this.liveQueries.delete(live);
+    };
   }
 
   /**
-   * Main method to execute SQL queries
-   * 
-   * @param {string} query - The SQL query to execute
-   * @returns {*} The query result (array for SELECT, object for other operations)
-   * @throws {Error} If the query is invalid or table doesn't exist
-   * 
-   * @example
-   * // Create table
-   * db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age INTEGER)');
-   * 
-   * // Insert data
-   * db.execute("INSERT INTO users (id, name, age) VALUES (1, 'John', 30)");
-   * 
-   * // Select data
-   * const users = db.execute('SELECT * FROM users WHERE age > 25 ORDER BY age DESC LIMIT 10');
-   * 
-   * // Update data
-   * db.execute("UPDATE users SET age = 31 WHERE id = 1");
-   * 
-   * // Delete data
-   * db.execute("DELETE FROM users WHERE id = 1");
+   * Record a change for the 'change' listeners and live queries: delivered now,
+   * or when the open transaction commits
+   * @private
+   * @param {string} tableName - The name of the table
+   * @param {string} op - 'insert', 'update', 'delete' or 'schema'
+   * @param {array} rows - The rows concerned
    */
+  recordChange(tableName, op, rows = []) {
+    // 通知先がなければ行をコピーしない
+    if (this.changeListeners.size === 0 && this.liveQueries.size === 0) return;
+    if (op !== 'schema' && rows.length === 0) return;
+
+    // 隠しrowidを除いたコピーを渡し、保存済みの行が書き換えられないようにする
+    const columns = rows.length > 0 ? Object.keys(this.tables[tableName].columns) : [];
+    const change = {
+      table: tableName,
+      op: op,
+      rows: rows.map(row => {
+        const copy = {};
+        columns.forEach(col => {
+          copy[col] = row[col];
+        });
+        return copy;
+      })
+    };
+
+    if (this.transactionState) {
+      this.transactionState.changes.push(change);
+    } else {
+      this.emitChanges([change]);
+    }
+  }
+
   /**
-   * Execute an SQL query
-   * @param {string} query - The SQL query to execute
-   * @returns {*} Query result
-   * @throws {Error} If query is invalid or execution fails
+   * Deliver committed changes to the listeners, then run the live queries
+   * reading a changed table once each
+   * @private
+   * @param {array} changes - The changes, in the order they were made
    */
-  execute(query) {
-    try {
-      query = query.trim();
+  emitChanges(changes) {
+    if (changes.length === 0) return;
+    // リスナーの例外は変更を行った側に返さず、非同期に報告する
+    const report = error => setTimeout(() => {
+      throw error;
+    });
 
-      if (!query) {
-        throw new Error('Query cannot be empty');
-      }
+    Array.from(this.changeListeners).forEach(listener => {
+      changes.forEach(change => {
+        try {
+          listener(change);
+        } catch (error) {
+          report(error);
+        }
+      });
+    });
 
-      if (query.toUpperCase().startsWith('CREATE TABLE')) {
-        return this.createTable(query);
-      } else if (query.toUpperCase().startsWith('INSERT INTO')) {
-        return this.insert(query);
-      } else if (query.toUpperCase().startsWith('SELECT')) {
-        return this.select(query);
-      } else if (query.toUpperCase().startsWith('UPDATE')) {
-        return this.update(query);
-      } else if (query.toUpperCase().startsWith('DELETE')) {
-        return this.delete(query);
-      } else {
-        throw new Error('Unknown SQL command. Supported commands: CREATE TABLE, INSERT, SELECT, UPDATE, DELETE');
+    const tables = Array.from(new Set(changes.map(change => change.table)));
+    Array.from(this.liveQueries).forEach(live => {
+      // 先に呼ばれたコールバックの中で停止された場合は実行しない
+      if (!this.liveQueries.has(live) || !tables.some(name => this.referencesTable(live.statement.statement, name))) return;
+      try {
+        this.refreshLiveQuery(live);
+      } catch (error) {
+        report(error);
       }
+    });
+  }
+
+  /**
+   * Run a live query again and call back if its result changed
+   * @private
+   * @param {object} live - The live query
+   */
+  refreshLiveQuery(live) {
+    let rows;
+    try {
+      rows = live.statement.run(live.params);
     } catch (error) {
-      // Re-throw the error so it can be caught by the caller
-      throw new Error(`Query execution failed: ${error.message}`);
+      live.snapshot = null;
+      live.callback(null, error);
+      return;
     }
+    const snapshot = JSON.stringify(rows);
+    if (snapshot === live.snapshot) return;
+    live.snapshot = snapshot;
+    live.callback(rows);
   }
 
   /**
@@ -1228,14 +7622,32 @@ class LocalDB {
    * Clear all data from the database
    */
   clear() {
-    this.getTables().forEach(table => {
-      localStorage.removeItem(this.getTableKey(table));
+    if (this.transactionState) {
+      throw new Error('Cannot clear the database inside a transaction');
+    }
+    const tables = this.getTables();
+    tables.forEach(table => {
+      this.storage.removeItem(this.getTableKey(table));
     });
-    localStorage.removeItem(this.dbKey);
-    this.tables = {};
+    this.storage.removeItem(this.dbKey);
+    this.storage.removeItem(this.versionKey);
+    this.tables = Object.create(null);
+    this.userVersion = 0;
+    this.tableCache.clear();
+    this.indexCache.clear();
+    tables.forEach(table => this.recordChange(table, 'schema'));
   }
 }
 
+LocalDB.SQLParser = SQLParser;
+LocalDB.PreparedStatement = PreparedStatement;
+LocalDB.MemoryStorage = MemoryStorage;
+LocalDB.WebStorage = WebStorage;
+LocalDB.IndexedDBStorage = IndexedDBStorage;
+LocalDB.FileStorage = FileStorage;
+LocalDB.SQLSyntaxError = SQLSyntaxError;
+LocalDB.ConstraintError = ConstraintError;
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LocalDB;
 }